@@ -0,0 +1,67 @@
+'use strict';
+
+const _ = require('lodash');
+const KeyPath = require('./key-path');
+
+/**
+ * @returns the values, throws an error if any value is not a finite number
+ */
+const toNumbers = values => values.map(value => {
+  if (!_.isNumber(value) || !_.isFinite(value)) {
+    throw new Error(`${_.isNumber(value) ? value : JSON.stringify(value)} is not a number`);
+  }
+  return value;
+});
+
+// Aggregations of the defined values (undefined and null values are left out)
+const AGGREGATIONS = {
+  sum: values => _.sum(toNumbers(values)),
+  count: values => values.length,
+  avg: values => (values.length > 0 ? _.mean(toNumbers(values)) : undefined),
+  min: values => _.min(toNumbers(values)),
+  max: values => _.max(toNumbers(values)),
+  distinct: values => _.uniqWith(values, _.isEqual)
+};
+
+// Aggregations that need the key path of the group, e.g. { groupBy: 'status' }
+const GROUP_AGGREGATIONS = {
+  groupBy: groups => groups,
+  countBy: groups => _.mapValues(groups, group => group.length)
+};
+
+/**
+ * Aggregation of the _aggregate directive, e.g. "sum" or { groupBy: 'status' }
+ */
+class Aggregation {
+  constructor(definition) {
+    const isGroup = _.isPlainObject(definition);
+    this.name = isGroup ? Object.keys(definition)[0] : definition;
+    if (isGroup && (Object.keys(definition).length !== 1 || !_.has(GROUP_AGGREGATIONS, this.name)
+      || !_.isString(definition[this.name]))) {
+      throw new Error(`Invalid aggregation ${JSON.stringify(definition)}, expected ${
+        Aggregation.NAMES.join(', ')} or { groupBy / countBy: keyPath }`);
+    } else if (!isGroup && !_.has(AGGREGATIONS, definition)) {
+      throw new Error(`Unknown aggregation ${definition}`);
+    }
+    this.keyPath = isGroup ? new KeyPath(definition[this.name]) : null;
+  }
+
+  /**
+   * @param values value or array of values, undefined and null values are left out
+   * @returns aggregated value, throws an error for non-numeric values of sum / avg / min / max
+   */
+  apply(values) {
+    const definedValues = _.reject([].concat(_.isUndefined(values) ? [] : values), _.isNil);
+    if (!this.keyPath) {
+      return AGGREGATIONS[this.name](definedValues);
+    }
+    const getKey = value => this.keyPath.resolve(value);
+    // Values whose key is undefined or null are left out
+    const groups = _.groupBy(definedValues.filter(value => !_.isNil(getKey(value))), getKey);
+    return GROUP_AGGREGATIONS[this.name](groups);
+  }
+}
+
+Aggregation.NAMES = Object.keys(AGGREGATIONS);
+
+module.exports = Aggregation;
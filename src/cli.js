@@ -0,0 +1,241 @@
+'use strict';
+
+const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
+const inputAdapters = require('./input-adapters');
+const JsonMapper = require('./json-mapper');
+
+const USAGE = `Usage: map-json <mapping> [input] [options]
+
+Maps JSON records with a mapping file.
+
+  mapping          JSON file with the mapping object, or a JS module exporting
+                   { mapping, transforms, mappings, adapters, inputOptions }
+                   (or just the mapping object)
+  input            JSON, NDJSON, CSV, TSV or XML file, stdin if omitted or "-"
+
+Options:
+  -f, --format     input format: csv, tsv, xml or a format of the mapping
+                   module's adapters (default by file extension, JSON otherwise),
+                   inputOptions of the mapping module are passed to the adapter
+  -n, --ndjson     input is NDJSON (one record per line), output is NDJSON
+                   (default for .ndjson / .jsonl files)
+  -c, --compact    write compact instead of pretty-printed JSON
+  -h, --help       show this help
+
+JSON arrays and CSV / TSV rows are mapped element-wise. The exit code is 1 if the input is invalid
+or a condition / transform fails for any record.`;
+
+/**
+ * Error with a message meant for the command line user (no stack trace)
+ */
+class CliError extends Error {
+  /**
+   * @param isUsageError print the usage after the message
+   */
+  constructor(message, isUsageError) {
+    super(message);
+    this.name = 'CliError';
+    this.isUsageError = Boolean(isUsageError);
+  }
+}
+
+const parseArguments = args => {
+  const parsed = { files: [], format: undefined, ndjson: false, compact: false, help: false };
+  // Options followed by a value
+  const valueOptions = { '-f': 'format', '--format': 'format' };
+  const flags = {
+    '-n': 'ndjson',
+    '--ndjson': 'ndjson',
+    '-c': 'compact',
+    '--compact': 'compact',
+    '-h': 'help',
+    '--help': 'help'
+  };
+  args.forEach((arg, index) => {
+    if (_.has(valueOptions, args[index - 1])) {
+      return;
+    } else if (_.has(valueOptions, arg)) {
+      if (index + 1 >= args.length) {
+        throw new CliError(`Missing value of option ${arg}`, true);
+      }
+      parsed[valueOptions[arg]] = args[index + 1];
+    } else if (_.has(flags, arg)) {
+      parsed[flags[arg]] = true;
+    } else if (_.startsWith(arg, '-') && arg !== '-') {
+      throw new CliError(`Unknown option ${arg}`, true);
+    } else {
+      parsed.files.push(arg);
+    }
+  });
+  if (!parsed.help && (parsed.files.length < 1 || parsed.files.length > 2)) {
+    throw new CliError('Expected a mapping file and an optional input file', true);
+  }
+  return parsed;
+};
+
+const readStream = stream => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+  stream.on('error', reject);
+  stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+});
+
+const readFile = file => new Promise((resolve, reject) => {
+  fs.readFile(file, 'utf8', (error, content) => {
+    if (error) {
+      reject(new CliError(`Cannot read ${file}: ${error.message}`));
+    } else {
+      resolve(content);
+    }
+  });
+});
+
+/**
+ * @returns { mapping, transforms, mappings } from a JSON file or a JS module
+ */
+const loadMapping = file => {
+  if (path.extname(file) !== '.js') {
+    return readFile(file).then(content => {
+      try {
+        return { mapping: JSON.parse(content) };
+      } catch (error) {
+        throw new CliError(`Invalid JSON in mapping file ${file}: ${error.message}`);
+      }
+    });
+  }
+  return new Promise(resolve => {
+    let mappingModule;
+    try {
+      mappingModule = require(path.resolve(file)); // eslint-disable-line global-require
+    } catch (error) {
+      throw new CliError(`Cannot load mapping module ${file}: ${error.message}`);
+    }
+    resolve(_.has(mappingModule, 'mapping') ? mappingModule : { mapping: mappingModule });
+  });
+};
+
+/**
+ * @returns list of source records, a single JSON value or array elements / NDJSON lines
+ */
+const parseRecords = (content, isNdjson) => {
+  if (isNdjson) {
+    return content.split(/\r?\n/).reduce((records, line, index) => {
+      if (line.trim()) {
+        try {
+          records.push(JSON.parse(line));
+        } catch (error) {
+          throw new CliError(`Invalid JSON in line ${index + 1}: ${error.message}`);
+        }
+      }
+      return records;
+    }, []);
+  }
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new CliError(`Invalid JSON input: ${error.message}`);
+  }
+};
+
+/**
+ * Parses the input with the adapter of the format, see JsonMapper.parseInput
+ */
+const parseFormat = (content, format, inputOptions) => {
+  try {
+    return JsonMapper.parseInput(content, format, inputOptions);
+  } catch (error) {
+    throw new CliError(error.message);
+  }
+};
+
+/**
+ * Maps all records with the mapping compiled once (same as JsonMapper.map), errors are collected
+ * with the record they belong to
+ */
+const mapRecords = (records, mappingModule) => {
+  let mapRecord;
+  try {
+    mapRecord = JsonMapper.compile(mappingModule.mapping, {
+      transforms: mappingModule.transforms,
+      mappings: mappingModule.mappings,
+      strict: true
+    });
+  } catch (error) {
+    throw new CliError(error.message);
+  }
+  const errors = [];
+  const results = records.map((record, index) => {
+    try {
+      return mapRecord(record);
+    } catch (error) {
+      errors.push(`Record ${index + 1}: ${error.message}`);
+      return undefined;
+    }
+  });
+  return { results, errors };
+};
+
+const formatOutput = (results, isArray, options) => {
+  if (options.ndjson) {
+    return results.map(result => `${JSON.stringify(result)}\n`).join('');
+  }
+  const output = isArray ? results : results[0];
+  return `${JSON.stringify(output, null, options.compact ? 0 : 2)}\n`;
+};
+
+/**
+ * Runs the map-json command
+ *
+ * @param args command line arguments (without node and script path)
+ * @param io { stdin, stdout, stderr } streams, e.g. process
+ * @returns Promise for the exit code
+ */
+const run = (args, io) => new Promise(resolve => {
+  const options = parseArguments(args);
+  if (options.help) {
+    io.stdout.write(`${USAGE}\n`);
+    resolve(0);
+    return;
+  }
+  const mappingFile = options.files[0];
+  const inputFile = options.files[1];
+  if (inputFile && _.includes(['.ndjson', '.jsonl'], path.extname(inputFile))) {
+    options.ndjson = true;
+  }
+  const input = !inputFile || inputFile === '-' ? readStream(io.stdin) : readFile(inputFile);
+  resolve(Promise.all([loadMapping(mappingFile), input]).then(values => {
+    const mappingModule = values[0];
+    const problems = JsonMapper.validate(mappingModule.mapping, {
+      transforms: mappingModule.transforms,
+      mappings: mappingModule.mappings
+    });
+    if (problems.length > 0) {
+      throw new CliError(`Invalid mapping ${mappingFile}:\n${problems.map(problem =>
+        `  ${problem.path || '(root)'}: ${problem.message}`).join('\n')}`);
+    }
+    _.forEach(mappingModule.adapters, (adapter, format) =>
+      JsonMapper.registerInputAdapter(format, adapter));
+    const format = options.format || (inputFile && inputFile !== '-'
+      ? inputAdapters.findFormat(inputFile) : undefined);
+    const parsedInput = format ? parseFormat(values[1], format, mappingModule.inputOptions)
+      : parseRecords(values[1], options.ndjson);
+    const isArray = _.isArray(parsedInput) && (Boolean(format) || !options.ndjson);
+    const records = isArray || (options.ndjson && !format) ? parsedInput : [parsedInput];
+    const mapped = mapRecords(records, mappingModule);
+    if (mapped.errors.length > 0) {
+      throw new CliError(mapped.errors.join('\n'));
+    }
+    io.stdout.write(formatOutput(mapped.results, isArray, options));
+    return 0;
+  }));
+}).catch(error => {
+  io.stderr.write(`map-json: ${error instanceof CliError ? error.message : error.stack}\n`);
+  if (error.isUsageError) {
+    io.stderr.write(`\n${USAGE}\n`);
+  }
+  return 1;
+});
+
+module.exports.run = run;
@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * Runs asynchronous tasks with a maximum number of tasks running at the same time
+ */
+class ConcurrencyLimiter {
+  /**
+   * @param concurrency (optional) maximum number of running tasks, unlimited by default
+   */
+  constructor(concurrency) {
+    if (concurrency !== undefined && !(concurrency >= 1)) {
+      throw new Error('Concurrency must be at least 1');
+    }
+    this.concurrency = concurrency || Infinity;
+    this.running = 0;
+    this.queue = [];
+  }
+
+  /**
+   * @param task function that returns a value or a Promise
+   * @returns Promise for the task's result
+   */
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this._next();
+    });
+  }
+
+  _next() {
+    if (this.running >= this.concurrency || this.queue.length === 0) {
+      return;
+    }
+    const queuedTask = this.queue.shift();
+    this.running += 1;
+    new Promise(resolve => resolve(queuedTask.task()))
+      .then(queuedTask.resolve, queuedTask.reject)
+      .then(() => {
+        this.running -= 1;
+        this._next();
+      });
+  }
+}
+
+module.exports = ConcurrencyLimiter;
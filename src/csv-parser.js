@@ -0,0 +1,132 @@
+'use strict';
+
+const _ = require('lodash');
+const ValueType = require('./value-type');
+
+// Untyped values converted by the parseValues option
+const LITERALS = { true: true, false: false, null: null };
+
+/**
+ * Parses CSV (RFC 4180: quoted fields with "" escapes and line breaks, CRLF or LF)
+ * into records, see the csv input adapter
+ */
+class CsvParser {
+  /**
+   * @param options (optional) {
+   *   delimiter: field delimiter, "," by default,
+   *   header: the first row contains the column names (default), otherwise records are arrays
+   *           unless columns are given,
+   *   columns: column names, e.g. ['id', 'name'] (instead of the header row),
+   *   types: types of columns by name (same as _type), e.g. { age: 'integer' },
+   *          empty typed fields are null,
+   *   parseValues: convert numeric strings, "true", "false" and "null" of untyped columns
+   * }
+   */
+  constructor(options) {
+    this.options = options || {};
+    this.delimiter = this.options.delimiter || ',';
+    if (!_.isString(this.delimiter) || this.delimiter.length !== 1 || /["\r\n]/.test(
+      this.delimiter)) {
+      throw new Error('CSV delimiter must be a single character (except quotes and line breaks)');
+    }
+    this.types = _.mapValues(this.options.types, type => new ValueType(type));
+  }
+
+  /**
+   * @returns list of records, objects by column name (arrays without header and columns)
+   */
+  parse(content) {
+    const rows = this._splitRows(String(content).replace(/^\uFEFF/, ''));
+    const hasHeader = this.options.header !== false && !this.options.columns;
+    const columns = hasHeader && rows.length > 0 ? rows.shift().fields : this.options.columns;
+    return rows.map(row => {
+      if (!columns) {
+        return row.fields.map(field => this._convert(field));
+      } else if (row.fields.length > columns.length) {
+        throw new Error(`Invalid CSV in line ${row.line}: expected ${columns.length} fields, got ${
+          row.fields.length}`);
+      }
+      // Missing fields at the end of the row are left out
+      return _.zipObject(columns.slice(0, row.fields.length), row.fields.map((field, index) =>
+        this._convert(field, columns[index], row.line)));
+    });
+  }
+
+  /**
+   * @returns rows { fields, line } without empty lines
+   */
+  _splitRows(content) {
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let line = 1;
+    let rowLine = 1;
+    let index = 0;
+    const endRow = () => {
+      fields.push(field);
+      if (fields.length > 1 || fields[0] !== '') {
+        rows.push({ fields, line: rowLine });
+      }
+      fields = [];
+      field = '';
+    };
+    while (index < content.length) {
+      const char = content[index];
+      if (char === '"' && field === '') {
+        const end = CsvParser._findQuoteEnd(content, index + 1);
+        if (end < 0) {
+          throw new Error(`Invalid CSV in line ${line}: unterminated quoted field`);
+        }
+        field = content.slice(index + 1, end).replace(/""/g, '"');
+        line += (field.match(/\n/g) || []).length;
+        index = end + 1;
+        if (index < content.length && !_.includes([this.delimiter, '\r', '\n'], content[index])) {
+          throw new Error(`Invalid CSV in line ${line}: unexpected character after quoted field`);
+        }
+      } else if (char === this.delimiter) {
+        fields.push(field);
+        field = '';
+        index += 1;
+      } else if (char === '\r' || char === '\n') {
+        endRow();
+        index += char === '\r' && content[index + 1] === '\n' ? 2 : 1;
+        line += 1;
+        rowLine = line;
+      } else {
+        field += char;
+        index += 1;
+      }
+    }
+    endRow();
+    return rows;
+  }
+
+  _convert(field, column, line) {
+    if (column && _.has(this.types, column)) {
+      try {
+        return field === '' ? null : this.types[column].coerce(field);
+      } catch (error) {
+        throw new Error(`Invalid CSV in line ${line}, column ${column}: ${error.message}`);
+      }
+    } else if (!this.options.parseValues) {
+      return field;
+    } else if (_.has(LITERALS, field)) {
+      return LITERALS[field];
+    }
+    const number = field.trim() ? Number(field) : NaN;
+    return _.isFinite(number) ? number : field;
+  }
+
+  /**
+   * @returns index of the closing quote, -1 if there is none
+   */
+  static _findQuoteEnd(content, start) {
+    let index = content.indexOf('"', start);
+    while (index >= 0 && content[index + 1] === '"') {
+      index = content.indexOf('"', index + 2);
+    }
+    return index;
+  }
+}
+
+module.exports = CsvParser;
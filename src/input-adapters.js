@@ -0,0 +1,66 @@
+'use strict';
+
+const _ = require('lodash');
+const path = require('path');
+const CsvParser = require('./csv-parser');
+const XmlParser = require('./xml-parser');
+
+/**
+ * Input adapters by format name. An adapter turns the content of a file into plain objects
+ * that _source paths can address: { extensions: ['.csv'], parse: (content, options) => value }
+ */
+const adapters = {
+  csv: {
+    extensions: ['.csv'],
+    parse: (content, options) => new CsvParser(options).parse(content)
+  },
+  tsv: {
+    extensions: ['.tsv'],
+    parse: (content, options) => new CsvParser(_.assign({ delimiter: '\t' }, options))
+      .parse(content)
+  },
+  xml: {
+    extensions: ['.xml'],
+    parse: (content, options) => new XmlParser(options).parse(content)
+  }
+};
+
+/**
+ * Registers an input adapter, adapters with the same name are replaced
+ *
+ * @param adapter { extensions: (optional) file extensions, e.g. ['.yml'],
+ *                  parse: (content, options) => parsed value }
+ */
+module.exports.register = (format, adapter) => {
+  if (!_.isString(format) || !format) {
+    throw new Error('Input format must be a non-empty string');
+  } else if (!_.isObject(adapter) || !_.isFunction(adapter.parse)) {
+    throw new Error('Input adapter must have a parse(content, options) function');
+  }
+  adapters[format] = adapter;
+};
+
+/**
+ * @returns the input adapter, throws an error for unknown formats
+ */
+module.exports.get = format => {
+  if (!_.has(adapters, format)) {
+    throw new Error(`Unknown input format ${format}, expected ${Object.keys(adapters).join(', ')}`);
+  }
+  return adapters[format];
+};
+
+/**
+ * @returns name of the format whose adapter handles the file extension, undefined if none
+ */
+module.exports.findFormat = file => {
+  const extension = path.extname(file).toLowerCase();
+  return _.findKey(adapters, adapter => _.includes(adapter.extensions, extension));
+};
+
+/**
+ * @param options (optional) options of the adapter, e.g. { types: { age: 'integer' } } for CSV
+ * @returns parsed value, e.g. a list of records for CSV
+ */
+module.exports.parse = (content, format, options) =>
+  module.exports.get(format).parse(content, options || {});
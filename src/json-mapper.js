@@ -1,118 +1,898 @@
 'use strict';
 
 const _ = require('lodash');
-const dotty = require('dotty');
-const TransformUtil = require('./transform-util');
+const ConcurrencyLimiter = require('./concurrency-limiter');
+const inputAdapters = require('./input-adapters');
+const KeyPath = require('./key-path');
+const LimitError = require('./limit-error');
+const MapStream = require('./map-stream');
+const MappingError = require('./mapping-error');
+const MappingPlan = require('./mapping-plan');
+const MappingValidator = require('./mapping-validator');
+const OutputSchema = require('./output-schema');
+const ReverseMapper = require('./reverse-mapper');
+const TargetMerger = require('./target-merger');
+const Template = require('./template');
+
+// Marks referenced nodes that are being mapped, see _mapReferencedNode
+const IN_PROGRESS = {};
 
 class JsonMapper {
   /**
    * @param sourceObject Object for source data
-   * @param mappingObject Object that defines new object structure
-   * @param transformSource Source for transform and conditional functions
-   * @param preProcess (optional) Function that preprocesses all mapped values
+   * @param mappingPlan MappingPlan that defines new object structure
+   * @param context (optional) { sources, vars } in addition to the sources / vars options,
+   *                e.g. request-level data of a compiled mapping
    */
-  constructor(sourceObject, mappingObject, transformSource, preProcess) {
+  constructor(sourceObject, mappingPlan, context) {
     if (!_.isObject(sourceObject)) {
       throw new Error('No source object provided');
     }
-    if (!_.isObject(mappingObject)) {
-      throw new Error('No mapping provided');
-    }
     this.sourceObject = sourceObject;
-    this.mappingObject = mappingObject;
-    this.preProcess = preProcess;
-    this.transformUtil = new TransformUtil(transformSource);
+    this.mappingPlan = mappingPlan;
+    this.options = mappingPlan.options;
+    const mapContext = _.isPlainObject(context) ? context : {};
+    MappingPlan.checkSources(mapContext.sources);
+    // Named source objects ("$tenant") and variables ("$vars"), names of the context take
+    // precedence over the options
+    this.sources = _.assign({}, this.options.sources, mapContext.sources);
+    this.vars = _.assign({}, this.options.vars, mapContext.vars);
+    this.preProcess = mappingPlan.preProcess;
+    this.transformUtil = mappingPlan.transformUtil;
+    this.diagnostics = [];
+    // Trace entries by output path, only collected in explain mode
+    this.trace = this.options.explain ? {} : null;
+    // Referenced keys by source object / array, only collected for the unreferenced option
+    this.references = this.options.unreferenced ? new Map() : null;
+    // Indexes of the _lookup collections by Lookup and collection, built once per map() call
+    this.lookupIndexes = new Map();
+    // Mapped values of the nodes referenced by _ref, mapped once per map() call
+    this.referencedValues = new Map();
+    // Number of called transform / condition functions, see the maxFunctionCalls limit
+    this.functionCalls = 0;
+    // Object that the result is merged into, see mapInto()
+    this.target = undefined;
+    this.isAsync = false;
   }
 
   /**
-   * @returns new JSON object based on the given mapping structure
+   * @returns new JSON object based on the given mapping structure ({ result, diagnostics,
+   *          trace, unreferenced } if the diagnostics / explain / unreferenced options are set)
    */
   map() {
-    return this._traverseMap(this.mappingObject, value => {
-      const valueIsObject = _.isObject(value);
-      const valueHasStringSource = valueIsObject && _.isString(value._source || value._sources);
-      const valueHasArraySource = valueIsObject && _.isArray(value._source || value._sources);
-      if (valueHasStringSource || valueHasArraySource) {
-        return this._mapValue(value);
+    return this._then(this._traverseMap(this.mappingPlan.root, null), mappedValue => {
+      if (this.mappingPlan.outputSchema) {
+        this._checkSchema(mappedValue);
+      }
+      if (this.options.strict && this.diagnostics.length > 0) {
+        throw new MappingError(this.diagnostics);
+      }
+      const result = _.isUndefined(this.target) ? mappedValue
+        : new TargetMerger(this.options.merge).merge(this.target, mappedValue,
+          this.mappingPlan.root);
+      if (!this.options.diagnostics && !this.trace && !this.references) {
+        return result;
+      }
+      const output = { result };
+      if (this.options.diagnostics) {
+        output.diagnostics = this.diagnostics;
+      }
+      if (this.trace) {
+        output.trace = this.trace;
+      }
+      if (this.references) {
+        output.unreferenced = this._findUnreferenced(this.sourceObject, '');
+      }
+      return output;
+    });
+  }
+
+  /**
+   * Same as map() (or mapAsync() if the async option is set), but the result is merged into the
+   * target object, see TargetMerger
+   *
+   * @returns the merged target object (or a Promise for it)
+   */
+  mapInto(target) {
+    if (!_.isObject(target)) {
+      throw new Error('No target object provided');
+    }
+    this.target = target;
+    return this.options.async ? this.mapAsync() : this.map();
+  }
+
+  /**
+   * Same as map(), but Promises returned by transforms, conditions and the preprocess function
+   * are awaited. Independent values are mapped concurrently.
+   *
+   * @returns Promise for the mapped object
+   */
+  mapAsync() {
+    this.isAsync = true;
+    this.concurrencyLimiter = new ConcurrencyLimiter(this.options.concurrency);
+    return new Promise(resolve => resolve(this.map()));
+  }
+
+  /**
+   * Traverses the compiled mapping, starting with the deepest values
+   *
+   * @param node MappingPlan node
+   * @param scope current _each element ({ item, index, parent }) and source value of the
+   *              enclosing _include (base), null outside of _each / _include
+   */
+  _traverseMap(node, scope) {
+    if (node.isReferenced) {
+      return this._mapReferencedNode(node);
+    }
+    return this._traverseNode(node, scope);
+  }
+
+  _traverseNode(node, scope) {
+    if (node.type === 'mapping') {
+      return this._mapValue(node, scope);
+    } else if (node.type === 'switch') {
+      return this._mapSwitch(node, scope);
+    } else if (node.type === 'array') {
+      return this._then(this._all(node.items.map(arrayNode => this._traverseMap(arrayNode, scope))),
+        values => this._compactArray(values));
+    } else if (node.type === 'object') {
+      const mappedValues = node.values.map(objectNode => this._traverseMap(objectNode, scope));
+      return this._then(this._all(mappedValues), values => {
+        const mappedObject = _.zipObject(node.keys, values);
+        if (node.hasDynamicSource && MappingPlan.isMapping(mappedObject)) {
+          return this._mapValue(this.mappingPlan.compileResolvedMapping(mappedObject, node.path),
+            scope);
+        }
+        return _.omitBy(mappedObject, value => this._isOmitted(value));
+      });
+    } else if (node.type === 'deferred') {
+      return node.node;
+    }
+    return node.value;
+  }
+
+  /**
+   * Maps a node that is referenced by _ref, either where it is in the mapping object or earlier
+   * where a _ref needs its value. Referenced nodes are outside of _each / _include (no scope).
+   */
+  _mapReferencedNode(node) {
+    if (!this.referencedValues.has(node)) {
+      this.referencedValues.set(node, IN_PROGRESS);
+      this.referencedValues.set(node, this._traverseNode(node, null));
+    } else if (this.referencedValues.get(node) === IN_PROGRESS) {
+      throw new Error(`Circular _ref: ${node.outputPath || 'root'} depends on itself`);
+    }
+    return this.referencedValues.get(node);
+  }
+
+  _mapValue(valueMapping, scope) {
+    const trace = this._startTrace(valueMapping, scope);
+    const resolvedSourceValues = this._resolveSource(valueMapping, scope);
+    if (valueMapping.isRequired) {
+      this._checkRequired(valueMapping, scope);
+    }
+    const mapDefaultValue = () => {
+      this._addTrace(trace, 'usedDefault', true);
+      return this._mapDefaultValue(valueMapping, scope);
+    };
+    const conditionResult = this._then(this._resolveFunctions(valueMapping.conditions, scope),
+      conditionFunctions => !conditionFunctions || this.transformUtil.checkCondition(
+        resolvedSourceValues, conditionFunctions,
+        this._createFunctionContext(valueMapping, scope, trace && trace.conditions)));
+
+    const result = this._then(conditionResult, isConditionMet => {
+      this._addTrace(trace, 'conditionMet', isConditionMet);
+      // Condition not met -> ignore transforms and return default immediately
+      if (!isConditionMet) {
+        return mapDefaultValue();
       }
-      return value;
+      return this._pipe(resolvedSourceValues, [
+        mappedValue => this._then(this._preProcessValue(valueMapping, mappedValue),
+          preProcessedValue => (_.isFunction(this.preProcess)
+            ? this._addTrace(trace, 'preProcessed', preProcessedValue) : preProcessedValue)),
+        mappedValue => {
+          if (!valueMapping.lookup || _.isUndefined(mappedValue)) return mappedValue;
+          return this._addTrace(trace, 'lookedUp', this._lookup(valueMapping.lookup, mappedValue,
+            scope));
+        },
+        mappedValue => {
+          if (!valueMapping.aggregation) return mappedValue;
+          return this._addTrace(trace, 'aggregated', this._aggregate(valueMapping, mappedValue,
+            scope));
+        },
+        // Included mappings are resolved relative to the source value
+        mappedValue => {
+          if (!valueMapping.include || _.isUndefined(mappedValue)) return mappedValue;
+          return this._traverseMap(valueMapping.include,
+            _.assign({}, scope, { base: mappedValue }));
+        },
+        mappedValue => {
+          if (!valueMapping.each || _.isUndefined(mappedValue)) return mappedValue;
+          return this._mapEach(valueMapping, mappedValue, scope);
+        },
+        // If source value (or preprocessed value) is undefined, ignore transforms
+        mappedValue => {
+          if (!valueMapping.transforms || _.isUndefined(mappedValue)) return mappedValue;
+          return this._then(this._resolveFunctions(valueMapping.transforms, scope),
+            transformFunctions => this.transformUtil.transformValue(mappedValue,
+              transformFunctions, this._createFunctionContext(valueMapping, scope,
+                trace && trace.transforms)));
+        },
+        mappedValue => {
+          if (!valueMapping.transformEach || !_.isArray(mappedValue)) return mappedValue;
+          const functionContext = this._createFunctionContext(valueMapping, scope,
+            trace && trace.transformEach);
+          return this._then(this._resolveFunctions(valueMapping.transformEach, scope),
+            transformEachFunction => this._all(mappedValue.map(value =>
+              this.transformUtil.transformValue(value, transformEachFunction, functionContext))));
+        },
+        mappedValue => {
+          if (!valueMapping.valueType) return mappedValue;
+          return this._addTrace(trace, 'coerced', this._coerce(valueMapping, mappedValue,
+            scope));
+        },
+        // Default value is returned when ->
+        // 1) source value is undefined and no preprocess is defined
+        // 2) preprocessed value is undefined
+        // 3) result of transforms is undefined or throws error
+        // 4) the value cannot be converted to _type
+        mappedValue => (_.isUndefined(mappedValue) ? mapDefaultValue() : mappedValue)
+      ]);
     });
+    const postProcessedResult = _.isFunction(this.options.postProcess)
+      ? this._then(result, this.options.postProcess) : result;
+    return trace ? this._then(postProcessedResult, value => this._addTrace(trace, 'result', value))
+      : postProcessedResult;
+  }
+
+  /**
+   * Maps the _value of the first case whose conditions are met, or the default value
+   */
+  _mapSwitch(switchNode, scope) {
+    const trace = this._startTrace(switchNode, scope);
+    const sourceValues = this._resolveSource(switchNode, scope);
+    const mapCase = index => {
+      if (index >= switchNode.cases.length) {
+        this._addTrace(trace, 'usedDefault', true);
+        return this._mapDefaultValue(switchNode, scope);
+      }
+      const switchCase = switchNode.cases[index];
+      const caseTrace = trace ? { index, conditions: [] } : null;
+      if (trace) {
+        trace.cases.push(caseTrace);
+      }
+      const conditionResult = this._then(this._resolveFunctions(switchCase.conditions, scope),
+        conditionFunctions => !conditionFunctions || this.transformUtil.checkCondition(
+          sourceValues, conditionFunctions,
+          this._createFunctionContext(switchNode, scope, caseTrace && caseTrace.conditions)));
+      return this._then(conditionResult, isConditionMet => {
+        this._addTrace(caseTrace, 'conditionMet', isConditionMet);
+        return isConditionMet ? this._traverseMap(switchCase.value, scope) : mapCase(index + 1);
+      });
+    };
+    const result = mapCase(0);
+    return trace ? this._then(result, value => this._addTrace(trace, 'result', value)) : result;
+  }
+
+  /**
+   * Maps _default, options.defaultValue is used when _default does not resolve to a value
+   */
+  _mapDefaultValue(node, scope) {
+    return this._then(this._traverseMap(node.defaultValue, scope), defaultValue =>
+      (_.isUndefined(defaultValue) ? this.options.defaultValue : defaultValue));
+  }
+
+  /**
+   * Looks up the value (every element of arrays) in the _lookup collection
+   *
+   * @returns found value(s), undefined if no value is found
+   */
+  _lookup(lookup, value, scope) {
+    const index = this._getLookupIndex(lookup, scope);
+    if (!_.isArray(value)) {
+      return lookup.find(index, value);
+    }
+    const foundValues = value.map(key => lookup.find(index, key));
+    return foundValues.every(_.isUndefined) ? undefined : foundValues;
   }
 
   /**
-   * Traverses an object/array, starting with the deepest values
+   * Resolves the collection of the lookup table (lookups option) or the source path
+   *
+   * @returns index of the collection, see Lookup.createIndex
    */
-  _traverseMap(value, iterator) {
-    if (_.isArray(value)) {
-      return iterator(value.map(arrayValue => this._traverseMap(arrayValue, iterator)));
-    } else if (_.isObject(value)) {
-      return iterator(_.mapValues(value, objectValue => this._traverseMap(objectValue, iterator)));
+  _getLookupIndex(lookup, scope) {
+    const lookupTables = this.options.lookups;
+    let collection;
+    if (lookupTables && _.has(lookupTables, lookup.from)) {
+      collection = lookupTables[lookup.from];
+    } else {
+      if (this.references) {
+        this._addKeyPathReferences(lookup.fromKeyPath, scope);
+      }
+      collection = this._resolveKeyPath(lookup.fromKeyPath, scope);
+    }
+    const indexes = this.lookupIndexes.get(lookup) || new Map();
+    this.lookupIndexes.set(lookup, indexes);
+    if (!indexes.has(collection)) {
+      indexes.set(collection, lookup.createIndex(collection));
     }
-    return iterator(value);
+    return indexes.get(collection);
   }
 
-  _mapValue(valueMapping) {
-    const conditionFunctions = valueMapping._condition || valueMapping._conditions;
-    const defaultValue = valueMapping._default;
-    const sourcesValues = valueMapping._source || valueMapping._sources;
-    const resolvedSourceValues = this._resolveSource(sourcesValues);
-    const transformFunctions = valueMapping._transform || valueMapping._transforms;
-    const transformEachFunction = valueMapping._transformEach;
+  /**
+   * Applies _aggregate, the values of multiple sources are aggregated together
+   *
+   * @returns aggregated value, undefined if the aggregation fails
+   */
+  _aggregate(valueMapping, values, scope) {
+    const aggregation = valueMapping.aggregation;
+    try {
+      return aggregation.apply(valueMapping.hasMultipleSources ? _.flatten(values) : values);
+    } catch (error) {
+      this._reportError(valueMapping, scope, {
+        type: 'aggregate',
+        aggregation: aggregation.name,
+        error,
+        message: `Aggregation (${aggregation.name}): ${error.message}`
+      });
+      return undefined;
+    }
+  }
 
-    // Condition not met -> ignore transforms and return default immediately
-    if (conditionFunctions && !this.transformUtil.checkCondition(resolvedSourceValues,
-        conditionFunctions)) {
-      return defaultValue;
+  /**
+   * Reports the differences between the mapped object and the JSON Schema of the mapping
+   */
+  _checkSchema(mappedValue) {
+    this.mappingPlan.outputSchema.check(mappedValue).forEach(problem =>
+      this._reportError({ path: problem.path }, null, {
+        type: 'schema',
+        message: `Schema (${problem.path || 'root'}): ${problem.message}`
+      }));
+  }
+
+  /**
+   * Converts the value to _type
+   *
+   * @returns converted value, undefined if the value cannot be converted
+   */
+  _coerce(valueMapping, value, scope) {
+    const valueType = valueMapping.valueType;
+    try {
+      return valueType.coerce(value);
+    } catch (error) {
+      this._reportError(valueMapping, scope, {
+        type: 'type',
+        valueType: valueType.type,
+        error,
+        message: `Type (${valueType.type}): ${error.message}`
+      });
+      return undefined;
     }
+  }
+
+  _preProcessValue(valueMapping, sourceValues) {
+    if (!_.isFunction(this.preProcess)) {
+      return sourceValues;
+    }
+    // For multiple source values, preprocess all independently
+    if (valueMapping.hasMultipleSources) {
+      return this._all(sourceValues.map(sourceValue => this.preProcess(sourceValue)));
+    }
+    return this.preProcess(sourceValues);
+  }
+
+  /**
+   * Maps each element of the source array with the _each mapping,
+   * a single source value is treated like an array with one element
+   */
+  _mapEach(valueMapping, sourceValue, scope) {
+    const base = scope ? scope.base : undefined;
+    return this._then(this._all([].concat(sourceValue).map((item, index) => {
+      // The _each mapping is used for the output paths of traces and diagnostics
+      const itemScope = { item, index, parent: scope, base, eachMapping: valueMapping };
+      if (this.references && _.isArray(sourceValue)) {
+        // Source array of the element, referenced by "$" / "$parent" without keys
+        itemScope.items = sourceValue;
+      }
+      return this._traverseMap(valueMapping.each, itemScope);
+    })), values => this._compactArray(values));
+  }
+
+  /**
+   * Removes omitted elements (see _isOmitted) if the compactArrays option is set
+   */
+  _compactArray(values) {
+    return this.options.compactArrays ? _.reject(values, value => this._isOmitted(value))
+      : values;
+  }
+
+  /**
+   * @returns true if the value is left out of objects because of omitUndefined / omitNull
+   */
+  _isOmitted(value) {
+    return (this.options.omitUndefined && _.isUndefined(value))
+      || (this.options.omitNull && _.isNull(value));
+  }
 
-    let mappedValue = resolvedSourceValues;
-    if (_.isFunction(this.preProcess)) {
-      // For multiple source values, preprocess all independently
-      if (_.isArray(sourcesValues)) {
-        mappedValue = resolvedSourceValues.map(sourceValue => this.preProcess(sourceValue));
-      } else {
-        mappedValue = this.preProcess(resolvedSourceValues);
+  /**
+   * Creates the context for TransformUtil functions of the given mapping
+   *
+   * @param traceCalls (optional) list that function calls are added to in explain mode
+   */
+  _createFunctionContext(valueMapping, scope, traceCalls) {
+    return {
+      onError: errorDetails => this._reportError(valueMapping, scope, errorDetails),
+      isAsync: this.isAsync,
+      schedule: this.isAsync ? task => this.concurrencyLimiter.run(task) : undefined,
+      trace: traceCalls ? call => traceCalls.push(call) : undefined,
+      onCall: () => {
+        this.functionCalls += 1;
+        this.mappingPlan.checkLimit('maxFunctionCalls', this.functionCalls, valueMapping.path);
       }
+    };
+  }
+
+  /**
+   * Creates the trace entry of a mapping / switch in explain mode
+   *
+   * @returns trace entry, null if not in explain mode
+   */
+  _startTrace(node, scope) {
+    if (!this.trace) {
+      return null;
     }
-    // If source value (or preprocessed value) is undefined, ignore transforms
-    if (transformFunctions && !_.isUndefined(mappedValue)) {
-      mappedValue = this.transformUtil.transformValue(mappedValue, transformFunctions);
+    const trace = {
+      mappingPath: node.path,
+      sources: node.keyPaths.map(keyPath => {
+        const source = { keyPath: keyPath.keyPath, value: this._resolveKeyPath(keyPath, scope) };
+        if (keyPath.hasWildcard) {
+          source.matches = keyPath.resolveMatches(this._resolveVariable(keyPath.variable, scope));
+        }
+        return source;
+      })
+    };
+    if (node.type === 'switch') {
+      trace.cases = [];
+    } else {
+      _.assign(trace, { conditions: [], transforms: [], transformEach: [] });
     }
-    if (transformEachFunction && _.isArray(mappedValue)) {
-      mappedValue = mappedValue.map(value =>
-        this.transformUtil.transformValue(value, transformEachFunction));
+    trace.usedDefault = false;
+    this.trace[this._getOutputPath(node.path, scope)] = trace;
+    return trace;
+  }
+
+  /**
+   * Sets the key of the trace entry (if in explain mode)
+   *
+   * @returns the value
+   */
+  _addTrace(trace, key, value) {
+    if (trace) {
+      _.assign(trace, { [key]: value });
     }
-    // Default value is returned when ->
-    // 1) source value is undefined and no preprocess is defined
-    // 2) preprocessed value is undefined
-    // 3) result of transforms is undefined or throws error
-    return _.isUndefined(mappedValue) ? defaultValue : mappedValue;
+    return value;
   }
 
-  _resolveSource(sourceKeyPath) {
-    if (_.isArray(sourceKeyPath)) {
-      const sourceValues = sourceKeyPath.map(keyPath => this._resolveKeyPath(keyPath));
+  /**
+   * Replaces the _each paths of the mapping path with the indexes of the current elements,
+   * e.g. "list._each.name" -> "list[0].name"
+   */
+  _getOutputPath(path, scope) {
+    if (!scope || !scope.eachMapping) {
+      return path;
+    }
+    const eachPath = MappingPlan.joinPath(scope.eachMapping.path, '_each');
+    const remainingPath = path.slice(eachPath.length);
+    if (!_.startsWith(path, eachPath) || (remainingPath && !/^[.[]/.test(remainingPath))) {
+      return path;
+    }
+    return MappingPlan.joinPath(this._getOutputPath(scope.eachMapping.path, scope.parent),
+      scope.index) + remainingPath;
+  }
+
+  /**
+   * Collects a failed condition / transform together with the mapping it belongs to,
+   * inside of _each with the output path of the element, e.g. "list[1].name"
+   */
+  _reportError(valueMapping, scope, errorDetails) {
+    const diagnostic = _.assign({
+      path: this._getOutputPath(valueMapping.path, scope),
+      source: valueMapping.sources
+    }, errorDetails);
+    this.diagnostics.push(diagnostic);
+    if (_.isFunction(this.options.onError)) {
+      this.options.onError(diagnostic, this.sourceObject);
+    } else if (!this.options.strict && !this.options.diagnostics) {
+      console.warn(diagnostic.message);
+    }
+  }
+
+  /**
+   * Maps the parameters of compiled function objects
+   *
+   * @returns FunctionCalls / function objects that can be passed to TransformUtil
+   */
+  _resolveFunctions(functionsNode, scope) {
+    if (!functionsNode) {
+      return null;
+    } else if (functionsNode.value) {
+      return this._traverseMap(functionsNode.value, scope);
+    }
+    return this._all(functionsNode.calls.map(functionNode => {
+      if (functionNode.combinator) {
+        return this._then(this._resolveFunctions(functionNode.conditions, scope), conditions =>
+          ({ [functionNode.combinator]: conditions }));
+      } else if (functionNode.value) {
+        return this._traverseMap(functionNode.value, scope);
+      }
+      return this._then(this._traverseMap(functionNode.parameters, scope), parameters =>
+        functionNode.functionCall.withParameters(parameters));
+    }));
+  }
+
+  _resolveSource(valueMapping, scope) {
+    if (this.references) {
+      this._addReferences(valueMapping, scope);
+    }
+    if (valueMapping.template) {
+      return this._renderTemplate(valueMapping, scope);
+    } else if (valueMapping.ref) {
+      const ref = valueMapping.ref;
+      return this._then(this._mapReferencedNode(ref.node), value =>
+        (ref.keys.length > 0 ? _.get(value, ref.keys) : value));
+    } else if (valueMapping.keyPaths.length === 0) {
+      return this._resolveVariable(null, scope);
+    } else if (valueMapping.hasMultipleSources) {
+      const sourceValues = valueMapping.keyPaths.map(keyPath =>
+        this._resolveKeyPath(keyPath, scope));
       // Undefined values are kept in the array (to match indexes of source array)
       // If all array values are undefined, undefined is returned (and the default value is used)
       return sourceValues.every(_.isUndefined) ? undefined : sourceValues;
     }
-    return this._resolveKeyPath(sourceKeyPath);
+    return this._resolveKeyPath(valueMapping.keyPaths[0], scope);
+  }
+
+  /**
+   * Replaces the placeholders of _template with the (transformed) source values
+   *
+   * @returns the text, undefined if a placeholder has no value and _missing is "default"
+   */
+  _renderTemplate(valueMapping, scope) {
+    const template = valueMapping.template;
+    const functionContext = this._createFunctionContext(valueMapping, scope);
+    const values = template.parts.map(part => {
+      if (!part.keyPath) return part.text;
+      const value = this._resolveKeyPath(part.keyPath, scope);
+      if (!part.transforms || _.isNil(value)) return value;
+      return this._then(this._resolveFunctions(part.transforms, scope), transformFunctions =>
+        this.transformUtil.transformValue(value, transformFunctions, functionContext));
+    });
+    return this._then(this._all(values), resolvedValues => {
+      const texts = resolvedValues.map((value, index) => {
+        const part = template.parts[index];
+        if (!part.keyPath) {
+          return value;
+        } else if (!_.isNil(value)) {
+          return Template.toText(value);
+        } else if (template.missing === 'keep') {
+          return part.placeholder;
+        }
+        return template.missing === 'default' ? undefined : '';
+      });
+      return texts.some(_.isUndefined) ? undefined : texts.join('');
+    });
+  }
+
+  /**
+   * Reports every source path of a _required mapping that resolves to undefined
+   */
+  _checkRequired(valueMapping, scope) {
+    valueMapping.keyPaths.forEach(keyPath => {
+      if (_.isUndefined(this._resolveKeyPath(keyPath, scope))) {
+        this._reportError(valueMapping, scope, {
+          type: 'required',
+          keyPath: keyPath.keyPath,
+          message: `Required source ${keyPath.keyPath} is undefined`
+        });
+      }
+    });
+  }
+
+  /**
+   * Remembers the source keys the mapping refers to. Values that are mapped further with
+   * _each / _include are not referenced as a whole, only the keys used by the nested mapping.
+   */
+  _addReferences(valueMapping, scope) {
+    if (valueMapping.each || valueMapping.include) return;
+    valueMapping.keyPaths.forEach(keyPath => this._addKeyPathReferences(keyPath, scope));
   }
 
-  _resolveKeyPath(keyPath) {
-    // Use dotty.search if the path contains wildcards
-    if (keyPath.indexOf('*') !== -1) {
-      const searchResults = dotty.search(this.sourceObject, keyPath);
-      if (searchResults.every(_.isUndefined)) return undefined;
-      // If there is only a single result, return it directly
-      if (searchResults.length === 1) return searchResults[0];
-      return searchResults;
+  _addKeyPathReferences(keyPath, scope) {
+    if (keyPath.variable === '$index') return;
+    const sourceKey = this._isSourceKey(keyPath.variable) ? keyPath.variable : null;
+    const base = this._resolveVariable(sourceKey ? null : keyPath.variable, scope);
+    const matchedKeys = sourceKey
+      ? keyPath.resolveKeys(_.get(base, [sourceKey])).map(keys => [sourceKey].concat(keys))
+      : keyPath.resolveKeys(base);
+    matchedKeys.forEach(keys => {
+      const parent = _.initial(keys).reduce((value, key) => value[key], base);
+      if (keys.length > 0) {
+        this._addReference(parent, _.last(keys));
+      } else if (keyPath.variable === '$' || keyPath.variable === '$parent') {
+        // The whole _each element is referenced, i.e. its index in the source array
+        const elementScope = keyPath.variable === '$' ? scope : scope && scope.parent;
+        if (elementScope && elementScope.items) {
+          this._addReference(elementScope.items, elementScope.index);
+        }
+      }
+    });
+  }
+
+  _addReference(parent, key) {
+    const referencedKeys = this.references.get(parent) || new Set();
+    referencedKeys.add(String(key));
+    this.references.set(parent, referencedKeys);
+  }
+
+  /**
+   * @returns paths of all source values that are neither referenced themselves nor by a parent,
+   *          array indexes are replaced by "[*]", e.g. ["user.email", "orders[*].note"]
+   */
+  _findUnreferenced(value, path) {
+    if (!_.isObject(value) || _.isFunction(value) || _.isEmpty(value)) {
+      return path ? [path] : [];
     }
-    return dotty.get(this.sourceObject, keyPath);
+    const referencedKeys = this.references.get(value) || new Set();
+    return _.uniq(_.flatMap(value, (child, key) => {
+      if (referencedKeys.has(String(key))) return [];
+      const childPath = _.isArray(value) ? `${path}[*]`
+        : MappingPlan.joinPath(path, key);
+      return this._findUnreferenced(child, childPath);
+    }));
+  }
+
+  _resolveKeyPath(keyPath, scope) {
+    return keyPath.resolve(this._resolveVariable(keyPath.variable, scope),
+      this.mappingPlan.limits.maxWildcardResults);
+  }
+
+  /**
+   * Returns the value of a key path variable:
+   * "$" (current element), "$index", "$parent" (element of the enclosing _each), "$root".
+   * Paths without variable are resolved relative to the source value of an enclosing _include.
+   * Named variables without a source of that name are keys of the source object, e.g. "$id".
+   */
+  _resolveVariable(variable, scope) {
+    if (!variable) {
+      return scope && !_.isUndefined(scope.base) ? scope.base : this.sourceObject;
+    } else if (variable === '$root') {
+      return this.sourceObject;
+    } else if (variable === '$vars') {
+      return this.vars;
+    } else if (this._isSourceKey(variable)) {
+      return _.get(this._resolveVariable(null, scope), [variable]);
+    } else if (KeyPath.isNamedVariable(variable)) {
+      return this.sources[variable.slice(1)];
+    } else if (!scope) {
+      return undefined;
+    } else if (variable === '$index') {
+      return scope.index;
+    } else if (variable === '$parent') {
+      return scope.parent ? scope.parent.item : undefined;
+    }
+    return scope.item;
+  }
+
+  /**
+   * @returns true if the variable is no known variable or named source, i.e. a key of the
+   *          source object (keys like "$id" were resolved that way before named sources existed)
+   */
+  _isSourceKey(variable) {
+    return KeyPath.isNamedVariable(variable) && variable !== '$vars'
+      && !_.has(this.sources, variable.slice(1));
+  }
+
+  /**
+   * Calls the callback with the value. When mapping asynchronously and the value is a Promise,
+   * the callback is called with the resolved value.
+   */
+  _then(value, callback) {
+    return this.isAsync && JsonMapper._isPromise(value) ? value.then(callback) : callback(value);
+  }
+
+  /**
+   * Runs the steps one after another, see _then
+   */
+  _pipe(value, steps) {
+    return steps.reduce((previousValue, step) => this._then(previousValue, step), value);
+  }
+
+  /**
+   * @returns the values, or a Promise for all values when mapping asynchronously
+   */
+  _all(values) {
+    return this.isAsync && values.some(JsonMapper._isPromise) ? Promise.all(values) : values;
+  }
+
+  static _isPromise(value) {
+    return _.isObject(value) && _.isFunction(value.then);
   }
 }
 
-module.exports.map = (sourceObject, mappingObject, transformSource, preProcess) => {
-  const jsonMapper = new JsonMapper(sourceObject, mappingObject, transformSource, preProcess);
+/**
+ * Supports both map(source, mapping, transformSource, preProcess | options)
+ * and map(source, mapping, options) with the transform source as options.transforms
+ *
+ * @returns { transformSource, options }
+ */
+const normalizeArguments = (transformSourceOrOptions, options) => {
+  if (_.isUndefined(options) && MappingPlan.isOptionsObject(transformSourceOrOptions)) {
+    return {
+      transformSource: transformSourceOrOptions.transforms,
+      options: transformSourceOrOptions
+    };
+  }
+  return {
+    transformSource: transformSourceOrOptions,
+    options: (_.isFunction(options) ? { preProcess: options } : options) || {}
+  };
+};
+
+const createMappingPlan = (mappingObject, transformSourceOrOptions, options) => {
+  const mappingArguments = normalizeArguments(transformSourceOrOptions, options);
+  return new MappingPlan(mappingObject, mappingArguments.transformSource,
+    mappingArguments.options);
+};
+
+/**
+ * @returns function (sourceObject, context) that maps a source object with the mapping plan
+ *          (returns a Promise if the async option is set), context: optional { sources, vars }
+ */
+const createMapFunction = mappingPlan => {
+  if (mappingPlan.options.async) {
+    return (sourceObject, context) => new Promise(resolve =>
+      resolve(new JsonMapper(sourceObject, mappingPlan, context).mapAsync()));
+  }
+  return (sourceObject, context) => new JsonMapper(sourceObject, mappingPlan, context).map();
+};
+
+/**
+ * @param sourceObject Object for source data
+ * @param mappingObject Object that defines new object structure
+ * @param transformSource Source for transform and conditional functions,
+ *                        or the options object (with the transform source as "transforms")
+ * @param options (optional) preprocess function or options object, see MappingPlan
+ */
+module.exports.map = (sourceObject, mappingObject, transformSource, options) => {
+  const mappingPlan = createMappingPlan(mappingObject, transformSource, options);
+  const jsonMapper = new JsonMapper(sourceObject, mappingPlan);
   return jsonMapper.map();
 };
+
+/**
+ * Same as map(), but awaits Promises returned by transforms, conditions and preprocess function
+ *
+ * @returns Promise for the mapped object
+ */
+module.exports.mapAsync = (sourceObject, mappingObject, transformSource, options) =>
+  new Promise(resolve => {
+    const mappingPlan = createMappingPlan(mappingObject, transformSource, options);
+    resolve(new JsonMapper(sourceObject, mappingPlan).mapAsync());
+  });
+
+/**
+ * Maps the source object into an existing target object. By default, the target is not changed
+ * and a merged copy is returned. Objects of the mapping are merged key by key, other values are
+ * merged with the _merge strategy of the mapping (or the merge option):
+ * "overwrite" (default), "skipUndefined", "keep", "merge", "append" or "union".
+ *
+ * @param target object the mapped values are merged into
+ * @param options (optional) see MappingPlan, mutate: change the target object in place
+ * @returns the merged object (a Promise if the async option is set)
+ */
+module.exports.mapInto = (target, sourceObject, mappingObject, transformSource, options) => {
+  const mappingPlan = createMappingPlan(mappingObject, transformSource, options);
+  const jsonMapper = new JsonMapper(sourceObject, mappingPlan);
+  return jsonMapper.mapInto(mappingPlan.options.mutate ? target : _.cloneDeep(target));
+};
+
+/**
+ * Compiles the mapping once, e.g. for mapping a large number of records with the same mapping
+ *
+ * @returns function that maps a source object: (sourceObject, context) => mappedObject,
+ *          the optional context { sources, vars } extends the sources / vars options
+ */
+module.exports.compile = (mappingObject, transformSource, options) =>
+  createMapFunction(createMappingPlan(mappingObject, transformSource, options));
+
+/**
+ * Maps the source object and explains how every value was mapped
+ *
+ * @returns { result, trace } with trace entries by output path
+ *          (see JsonMapper._startTrace), a Promise if the async option is set
+ */
+module.exports.explain = (sourceObject, mappingObject, transformSource, options) => {
+  const mappingArguments = normalizeArguments(transformSource, options);
+  const mappingPlan = new MappingPlan(mappingObject, mappingArguments.transformSource,
+    _.assign({}, mappingArguments.options, { explain: true }));
+  return createMapFunction(mappingPlan)(sourceObject);
+};
+
+/**
+ * Creates a Transform stream that maps every record, e.g. for large NDJSON files
+ *
+ * @param options (optional) options object, see MappingPlan and MapStream
+ * @returns MapStream with the counters "mapped" and "failed"
+ */
+module.exports.createMapStream = (mappingObject, transformSource, options) => {
+  const mappingPlan = createMappingPlan(mappingObject, transformSource, options);
+  return new MapStream(createMapFunction(mappingPlan), mappingPlan.options);
+};
+
+/**
+ * Creates a source-shaped object from a mapped object by writing every mapped value back to the
+ * _source path of its mapping. Wildcard paths with one wildcard are written position-wise,
+ * transforms are reverted with inverse functions (the inverses option or built-in inverses).
+ *
+ * @param options (optional) options object, only "transforms", "mappings" (see _include) and
+ *                "inverses" (inverse functions by transform name) are used
+ * @returns { result, nonInvertible } with the mappings that could not be inverted,
+ *          e.g. [{ path: 'total', message: 'Mappings with _aggregate cannot be inverted' }]
+ */
+module.exports.reverse = (mappedObject, mappingObject, options) => {
+  const reverseOptions = options || {};
+  const mappingPlan = new MappingPlan(mappingObject, reverseOptions.transforms, reverseOptions);
+  return new ReverseMapper(mappingPlan, reverseOptions.inverses).reverse(mappedObject);
+};
+
+/**
+ * Derives the JSON Schema of the objects that the mapping creates,
+ * see OutputSchema for how the types are determined
+ *
+ * @param options (optional) options object, only "mappings" (see _include) and "defaultValue"
+ *                are used
+ * @returns JSON Schema (draft-07)
+ */
+module.exports.toJsonSchema = (mappingObject, transformSource, options) =>
+  new OutputSchema(createMappingPlan(mappingObject, transformSource, options)).schema;
+
+module.exports.MappingError = MappingError;
+
+module.exports.LimitError = LimitError;
+
+/**
+ * @param options (optional) options object, only "mappings" (see _include), "safe",
+ *                "allowedFunctions" and "sources" (names of $ variables) are used
+ * @returns list of problems, see MappingValidator.validate
+ */
+module.exports.validate = (mappingObject, transformSource, options) => {
+  const mappingArguments = normalizeArguments(transformSource, options);
+  const mappingValidator = new MappingValidator(mappingArguments.transformSource,
+    MappingPlan.resolveMappings(mappingArguments.options.mappings), mappingArguments.options);
+  return mappingValidator.validate(mappingObject);
+};
+
+/**
+ * Registers a named mapping that can be included in all mappings, e.g.
+ * registerMapping('address', {...}) and { _include: 'address', _source: 'billingAddress' }
+ */
+module.exports.registerMapping = (name, mappingObject) =>
+  MappingPlan.registerMapping(name, mappingObject);
+
+/**
+ * Parses non-JSON input into plain objects that can be mapped, e.g.
+ * parseInput(csvContent, 'csv', { types: { age: 'integer' } }).map(record => map(record, ...))
+ *
+ * @param format "csv", "tsv", "xml" or a registered format, see CsvParser / XmlParser
+ * @param options (optional) options of the input adapter
+ * @returns parsed value, a list of records for CSV / TSV and an object for XML
+ */
+module.exports.parseInput = (content, format, options) =>
+  inputAdapters.parse(content, format, options);
+
+/**
+ * Registers an input adapter for parseInput() and the command line, e.g.
+ * registerInputAdapter('yaml', { extensions: ['.yml'], parse: (content, options) => ... })
+ */
+module.exports.registerInputAdapter = (format, adapter) => inputAdapters.register(format, adapter);
@@ -0,0 +1,353 @@
+'use strict';
+
+const _ = require('lodash');
+const LimitError = require('./limit-error');
+
+// Variables that can be used as first key inside of _each, e.g. "$.name" or "$parent.id"
+const VARIABLES = ['$', '$index', '$parent', '$root'];
+
+// Other first keys like "$tenant" or "$vars" refer to named sources / variables of the mapping
+const NAMED_VARIABLE = /^\$[A-Za-z_]\w*$/;
+
+const FILTER_OPERATORS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<=': (a, b) => a <= b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '>': (a, b) => a > b
+};
+
+/**
+ * Source key path that is parsed once and can be resolved repeatedly.
+ *
+ * Syntax:
+ * - "users.0.name" dot notation
+ * - "users.*.name" or "users[*].name" wildcards
+ * - "headers['content.type']" or "headers.content\\.type" keys containing special characters
+ * - "users[-1]" negative indexes, "users[1:3]" / "users[::2]" slices
+ * - "orders[?status=='paid'].id" filters (==, !=, <, <=, >, >= or just a path to check if truthy)
+ * - "..sku" recursive descent
+ * - "$.name", "$root.id" or "$tenant.currency" variables as first key, keys starting with "$"
+ *   are quoted or escaped, e.g. "['$id']" or "\\$id"
+ */
+class KeyPath {
+  constructor(keyPath) {
+    const segments = KeyPath._parse(keyPath);
+    const firstSegment = segments[0];
+    this.keyPath = keyPath;
+    // Paths starting with a variable are resolved relative to the variable's value
+    this.variable = null;
+    if (firstSegment && firstSegment.type === 'key' && !firstSegment.isQuoted
+      && (_.includes(VARIABLES, firstSegment.key) || NAMED_VARIABLE.test(firstSegment.key))) {
+      this.variable = segments.shift().key;
+    }
+    this.segments = segments;
+    // Wildcards, slices, filters and recursive descent can resolve to multiple values
+    this.hasWildcard = segments.some(segment => segment.type !== 'key' && segment.type !== 'index');
+  }
+
+  /**
+   * @param sourceObject Object for source data (or the value of the path's variable)
+   * @param maxResults (optional) throws a LimitError as soon as a path with wildcards matches
+   *                   more values (after any of its segments), see the maxWildcardResults limit
+   * @returns resolved value, or an array of values if the path contains wildcards
+   */
+  resolve(sourceObject, maxResults) {
+    if (!this.hasWildcard) {
+      return this.segments.reduce((value, segment) => KeyPath._getChild(value, segment),
+        sourceObject);
+    }
+    const searchResults = this._match(sourceObject, maxResults).map(match => match.value);
+    if (searchResults.every(_.isUndefined)) return undefined;
+    // If there is only a single result, return it directly
+    if (searchResults.length === 1) return searchResults[0];
+    return searchResults;
+  }
+
+  /**
+   * Same as resolve(), but returns every match with its path,
+   * e.g. "items[*].sku" -> [{ path: 'items[0].sku', value: 'a' }, ...]
+   */
+  resolveMatches(sourceObject) {
+    return this._match(sourceObject).map(match => ({
+      path: match.keys.reduce(KeyPath._joinKey, this.variable || ''),
+      value: match.value
+    }));
+  }
+
+  /**
+   * @returns the keys of every match, e.g. "items[*].sku" -> [[0, 'sku'], [1, 'sku']]
+   */
+  resolveKeys(sourceObject) {
+    return this._match(sourceObject).map(match => match.keys);
+  }
+
+  _match(sourceObject, maxResults) {
+    const isLimited = _.isNumber(maxResults);
+    return this.segments.reduce((entries, segment) => {
+      const matches = [];
+      entries.forEach(entry => {
+        const maxChildren = isLimited ? maxResults - matches.length : Infinity;
+        KeyPath._selectChildren(entry.value, segment, maxChildren).forEach(child => matches.push({
+          keys: entry.keys.concat(child.keys),
+          value: child.value
+        }));
+        if (isLimited && matches.length > maxResults) {
+          throw new LimitError('maxWildcardResults', maxResults, this.keyPath);
+        }
+      });
+      return matches;
+    }, [{ keys: [], value: sourceObject }]);
+  }
+
+  /**
+   * Returns the child for a key / index segment, undefined if value is not an object
+   */
+  static _getChild(value, segment) {
+    if (!_.isObject(value) || _.isFunction(value)) {
+      return undefined;
+    }
+    if (segment.type === 'index') {
+      return value[KeyPath._normalizeIndex(value, segment.index)];
+    }
+    return value[segment.key];
+  }
+
+  /**
+   * Returns all children of the value that match the segment (missing keys are left out)
+   *
+   * @param maxChildren (optional) a recursive descent stops after more matches
+   * @returns list of { keys, value } with the keys of the child relative to the value
+   */
+  static _selectChildren(value, segment, maxChildren) {
+    if (!_.isObject(value) || _.isFunction(value)) {
+      return [];
+    }
+    const toChild = (child, key) => ({ keys: [key], value: child });
+    if (segment.type === 'key') {
+      return _.has(value, segment.key) ? [toChild(value[segment.key], segment.key)] : [];
+    } else if (segment.type === 'index') {
+      const index = KeyPath._normalizeIndex(value, segment.index);
+      return _.has(value, index) ? [toChild(value[index], index)] : [];
+    } else if (segment.type === 'wildcard') {
+      return _.map(value, toChild);
+    } else if (segment.type === 'slice') {
+      return _.isArray(value) ? KeyPath._slice(value, segment) : [];
+    } else if (segment.type === 'filter') {
+      return _.map(value, toChild).filter(child => KeyPath._matchesFilter(child.value, segment));
+    }
+    // Recursive descent: apply the following segment to the value and all of its descendants
+    const children = [];
+    KeyPath._forEachDescendant(value, [], descendant => {
+      KeyPath._selectChildren(descendant.value, segment.segment).forEach(child => children.push({
+        keys: descendant.keys.concat(child.keys),
+        value: child.value
+      }));
+      return !(children.length > maxChildren);
+    });
+    return children;
+  }
+
+  static _normalizeIndex(value, index) {
+    return index < 0 && _.isArray(value) ? value.length + index : index;
+  }
+
+  static _slice(array, segment) {
+    const step = segment.step || 1;
+    const normalize = (index, defaultIndex) => {
+      if (_.isUndefined(index)) return defaultIndex;
+      return _.clamp(index < 0 ? array.length + index : index, -1, array.length);
+    };
+    const start = normalize(segment.start, step > 0 ? 0 : array.length - 1);
+    const end = normalize(segment.end, step > 0 ? array.length : -1);
+    const result = [];
+    for (let index = start; step > 0 ? index < end : index > end; index += step) {
+      if (index >= 0 && index < array.length) result.push({ keys: [index], value: array[index] });
+    }
+    return result;
+  }
+
+  static _matchesFilter(value, segment) {
+    const resolvedValue = segment.keyPath ? segment.keyPath.resolve(value) : value;
+    if (!segment.operator) {
+      return Boolean(resolvedValue);
+    }
+    return FILTER_OPERATORS[segment.operator](resolvedValue, segment.value);
+  }
+
+  /**
+   * Calls the iteratee with the value and all of its descendants as { keys, value },
+   * stops when the iteratee returns false
+   *
+   * @returns false if the iteratee stopped the iteration
+   */
+  static _forEachDescendant(value, keys, iteratee) {
+    if (!_.isObject(value) || _.isFunction(value)) {
+      return true;
+    }
+    return iteratee({ keys, value }) !== false && _.every(value, (child, key) =>
+      KeyPath._forEachDescendant(child, keys.concat(key), iteratee));
+  }
+
+  /**
+   * Appends the key to the path, e.g. "items" + 0 -> "items[0]"
+   */
+  static _joinKey(path, key) {
+    if (_.isNumber(key)) {
+      return `${path}[${key}]`;
+    } else if (!/^[^.[\]\\'"]+$/.test(key)) {
+      return `${path}['${key.replace(/(['\\])/g, '\\$1')}']`;
+    }
+    return path ? `${path}.${key}` : key;
+  }
+
+  /**
+   * Splits the key path into segments, e.g. "a[0]..b" -> key, index, recursive descent
+   */
+  static _parse(keyPath) {
+    // Same as dot notation: "" refers to the key ""
+    if (keyPath === '') {
+      return [{ type: 'key', key: '', isQuoted: true }];
+    }
+    const segments = [];
+    let isRecursive = false;
+    let position = 0;
+    const addSegment = segment => {
+      segments.push(isRecursive ? { type: 'recursive', segment } : segment);
+      isRecursive = false;
+    };
+    while (position < keyPath.length) {
+      if (keyPath.substr(position, 2) === '..') {
+        isRecursive = true;
+        position += 2;
+      } else if (keyPath[position] === '.') {
+        position += 1;
+      } else if (keyPath[position] === '[') {
+        const end = KeyPath._findBracketEnd(keyPath, position);
+        addSegment(KeyPath._parseBracket(keyPath, keyPath.slice(position + 1, end)));
+        position = end + 1;
+      } else {
+        const key = KeyPath._readKey(keyPath, position);
+        addSegment(key.key === '*' && !key.isQuoted ? { type: 'wildcard' } : key);
+        position = key.end;
+      }
+    }
+    if (isRecursive) {
+      throw KeyPath._error(keyPath, 'recursive descent needs a following key');
+    }
+    return segments;
+  }
+
+  /**
+   * Reads a dot notation key, "\" escapes the following character
+   */
+  static _readKey(keyPath, start) {
+    let key = '';
+    let isQuoted = false;
+    let position = start;
+    while (position < keyPath.length && keyPath[position] !== '.' && keyPath[position] !== '[') {
+      if (keyPath[position] === '\\' && position + 1 < keyPath.length) {
+        position += 1;
+        isQuoted = true;
+      }
+      key += keyPath[position];
+      position += 1;
+    }
+    return { type: 'key', key, isQuoted, end: position };
+  }
+
+  static _findBracketEnd(keyPath, start) {
+    let quote = null;
+    for (let position = start + 1; position < keyPath.length; position += 1) {
+      const character = keyPath[position];
+      if (character === '\\') {
+        position += 1;
+      } else if (quote) {
+        if (character === quote) quote = null;
+      } else if (character === '\'' || character === '"') {
+        quote = character;
+      } else if (character === ']') {
+        return position;
+      }
+    }
+    throw KeyPath._error(keyPath, 'missing "]"');
+  }
+
+  static _parseBracket(keyPath, expression) {
+    const trimmedExpression = expression.trim();
+    if (trimmedExpression === '*') {
+      return { type: 'wildcard' };
+    } else if (/^-?\d+$/.test(trimmedExpression)) {
+      return { type: 'index', index: parseInt(trimmedExpression, 10) };
+    } else if (/^(-?\d+)?:(-?\d+)?(:(-?\d+)?)?$/.test(trimmedExpression)) {
+      const parts = trimmedExpression.split(':').map(part =>
+        (part === '' ? undefined : parseInt(part, 10)));
+      if (parts[2] === 0) {
+        throw KeyPath._error(keyPath, 'slice step must not be 0');
+      }
+      return { type: 'slice', start: parts[0], end: parts[1], step: parts[2] };
+    } else if (trimmedExpression[0] === '?') {
+      return KeyPath._parseFilter(keyPath, trimmedExpression.slice(1));
+    }
+    const quotedKey = KeyPath._parseQuoted(trimmedExpression);
+    if (_.isUndefined(quotedKey)) {
+      throw KeyPath._error(keyPath, `invalid expression [${expression}]`);
+    }
+    return { type: 'key', key: quotedKey, isQuoted: true };
+  }
+
+  /**
+   * Parses filters like "status=='paid'", "@.price > 10" or "isActive"
+   */
+  static _parseFilter(keyPath, expression) {
+    const match = expression.match(/^\s*(.+?)\s*(==|!=|<=|>=|<|>)\s*(.+?)\s*$/);
+    const filterPath = (match ? match[1] : expression.trim()).replace(/^@\.?/, '');
+    // "@" refers to the filtered value itself
+    const segment = { type: 'filter', keyPath: filterPath ? new KeyPath(filterPath) : null };
+    if (match) {
+      segment.operator = match[2];
+      segment.value = KeyPath._parseLiteral(match[3]);
+      if (_.isUndefined(segment.value)) {
+        throw KeyPath._error(keyPath, `invalid filter value ${match[3]}`);
+      }
+    }
+    return segment;
+  }
+
+  static _parseLiteral(literal) {
+    const literals = { true: true, false: false, null: null };
+    if (_.has(literals, literal)) {
+      return literals[literal];
+    } else if (/^-?\d+(\.\d+)?$/.test(literal)) {
+      return parseFloat(literal);
+    }
+    return KeyPath._parseQuoted(literal);
+  }
+
+  /**
+   * @returns unescaped content of a quoted string, undefined if the string is not quoted
+   */
+  static _parseQuoted(string) {
+    const quote = string[0];
+    if (string.length < 2 || (quote !== '\'' && quote !== '"') || _.last(string) !== quote) {
+      return undefined;
+    }
+    return string.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+
+  static _error(keyPath, message) {
+    return new Error(`Invalid key path "${keyPath}": ${message}`);
+  }
+
+  /**
+   * @returns true for variables that refer to named sources / variables, e.g. "$tenant"
+   */
+  static isNamedVariable(variable) {
+    return Boolean(variable) && !_.includes(VARIABLES, variable);
+  }
+}
+
+KeyPath.VARIABLES = VARIABLES;
+
+module.exports = KeyPath;
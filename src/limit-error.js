@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * Thrown when a mapping exceeds one of the limits of the limits option
+ */
+class LimitError extends Error {
+  /**
+   * @param limit name of the exceeded limit, e.g. "maxDepth"
+   * @param max configured maximum
+   * @param path (optional) path in the mapping object (or source path for maxWildcardResults)
+   */
+  constructor(limit, max, path) {
+    super(`Limit ${limit} (${max}) exceeded${path ? ` at ${path}` : ''}`);
+    this.name = 'LimitError';
+    this.limit = limit;
+    this.max = max;
+    this.path = path;
+  }
+}
+
+module.exports = LimitError;
@@ -0,0 +1,64 @@
+'use strict';
+
+const _ = require('lodash');
+const KeyPath = require('./key-path');
+
+const LOOKUP_KEYS = ['from', 'key', 'select'];
+
+/**
+ * Lookup of the _lookup directive, e.g. { from: 'customers', key: 'id', select: 'name' }
+ *
+ * - from: name of a lookup table (see the lookups option) or source path of the collection
+ * - key: (optional) key path of the collection elements that is matched, defaults to "id"
+ * - select: (optional) key path of the value that is returned, defaults to the whole element
+ */
+class Lookup {
+  constructor(definition) {
+    if (!_.isPlainObject(definition) || !_.isString(definition.from)) {
+      throw new Error('Lookup must be defined as { from, key, select }');
+    }
+    const unknownKey = _.find(Object.keys(definition), key => !_.includes(LOOKUP_KEYS, key));
+    if (unknownKey) {
+      throw new Error(`Unknown lookup key ${unknownKey}`);
+    }
+    ['key', 'select'].forEach(key => {
+      if (!_.isUndefined(definition[key]) && !_.isString(definition[key])) {
+        throw new Error(`Lookup ${key} must be a key path`);
+      }
+    });
+    this.from = definition.from;
+    this.fromKeyPath = new KeyPath(definition.from);
+    this.keyPath = new KeyPath(definition.key || 'id');
+    this.selectKeyPath = definition.select ? new KeyPath(definition.select) : null;
+  }
+
+  /**
+   * Indexes the collection (array or object of elements) by key, keys are compared as strings.
+   * If several elements have the same key, the first one is used.
+   *
+   * @returns Map of elements by key
+   */
+  createIndex(collection) {
+    const index = new Map();
+    _.forEach(_.isObject(collection) ? collection : [], element => {
+      const key = this.keyPath.resolve(element);
+      if (!_.isNil(key) && !index.has(String(key))) {
+        index.set(String(key), element);
+      }
+    });
+    return index;
+  }
+
+  /**
+   * @returns the (selected value of the) element with the given key, undefined if not found
+   */
+  find(index, key) {
+    if (_.isNil(key) || !index.has(String(key))) {
+      return undefined;
+    }
+    const element = index.get(String(key));
+    return this.selectKeyPath ? this.selectKeyPath.resolve(element) : element;
+  }
+}
+
+module.exports = Lookup;
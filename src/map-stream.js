@@ -0,0 +1,149 @@
+'use strict';
+
+const _ = require('lodash');
+const stream = require('stream');
+const StringDecoder = require('string_decoder').StringDecoder;
+
+/**
+ * Transform stream that maps every record with a compiled mapping.
+ * Input: objects (object mode) or NDJSON text, output: mapped objects or NDJSON text.
+ */
+class MapStream extends stream.Transform {
+  /**
+   * @param mapRecord compiled mapping, see JsonMapper.compile (can return a Promise)
+   * @param options (optional) {
+   *   ndjson: read and write NDJSON text instead of objects,
+   *   errorStream: writable stream for failed records ({ record, error }, NDJSON lines for
+   *                NDJSON streams), without it the first failed record ends the stream,
+   *   highWaterMark: see stream.Transform
+   * }
+   */
+  constructor(mapRecord, options) {
+    const streamOptions = options || {};
+    super({
+      readableObjectMode: !streamOptions.ndjson,
+      writableObjectMode: !streamOptions.ndjson,
+      highWaterMark: streamOptions.highWaterMark
+    });
+    this.mapRecord = mapRecord;
+    this.isNdjson = Boolean(streamOptions.ndjson);
+    this.errorStream = streamOptions.errorStream;
+    // Number of successfully mapped / failed records
+    this.mapped = 0;
+    this.failed = 0;
+    this.decoder = new StringDecoder('utf8');
+    // Incomplete last line of the previous NDJSON chunk
+    this.remainder = '';
+    this.lineNumber = 0;
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (!this.isNdjson) {
+      this._mapRecord(chunk, null, callback);
+      return;
+    }
+    const lines = (this.remainder + this.decoder.write(chunk)).split('\n');
+    this.remainder = lines.pop();
+    this._mapLines(lines, callback);
+  }
+
+  _flush(callback) {
+    if (!this.isNdjson) {
+      callback();
+      return;
+    }
+    const lastLine = this.remainder + this.decoder.end();
+    this.remainder = '';
+    this._mapLines([lastLine], callback);
+  }
+
+  /**
+   * Maps NDJSON lines one after another. Lines that complete synchronously (e.g. empty lines)
+   * are mapped in a loop instead of recursively, so that many of them cannot overflow the stack.
+   */
+  _mapLines(lines, callback) {
+    let index = 0;
+    const mapNextLines = () => {
+      while (index < lines.length) {
+        let isSync = true;
+        let isCompleted = false;
+        this._mapLine(lines[index], error => {
+          if (error) {
+            callback(error);
+          } else if (isSync) {
+            isCompleted = true;
+          } else {
+            mapNextLines();
+          }
+        });
+        isSync = false;
+        index += 1;
+        // Otherwise, the callback of the line continues with the next lines (or ends with an error)
+        if (!isCompleted) return;
+      }
+      callback();
+    };
+    mapNextLines();
+  }
+
+  /**
+   * Maps an NDJSON line, empty lines are skipped
+   */
+  _mapLine(text, callback) {
+    this.lineNumber += 1;
+    const line = text.trim();
+    if (!line) {
+      callback();
+      return;
+    }
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      this._handleFailure(line, new Error(`Invalid JSON in line ${this.lineNumber}: ${
+        error.message}`), callback, this.lineNumber);
+      return;
+    }
+    this._mapRecord(record, this.lineNumber, callback);
+  }
+
+  /**
+   * Maps the record and pushes the result, failed records are passed to _handleFailure.
+   * Errors of stringifying and pushing the result (e.g. thrown by a 'data' handler) fail the
+   * record as well.
+   */
+  _mapRecord(record, lineNumber, callback) {
+    new Promise(resolve => resolve(this.mapRecord(record)))
+      .then(mappedRecord => {
+        this.push(this.isNdjson ? `${JSON.stringify(mappedRecord)}\n` : mappedRecord);
+        this.mapped += 1;
+      })
+      .then(() => callback(), error => this._handleFailure(record, error, callback, lineNumber))
+      .catch(error => this.destroy(error));
+  }
+
+  /**
+   * Writes the failed record to the error stream (respecting its backpressure),
+   * or ends the stream with the error if there is no error stream
+   */
+  _handleFailure(record, error, callback, lineNumber) {
+    this.failed += 1;
+    if (!this.errorStream) {
+      callback(error);
+      return;
+    }
+    const failure = { record, error };
+    if (!_.isNil(lineNumber)) {
+      failure.line = lineNumber;
+    }
+    const isWritable = this.errorStream.write(this.isNdjson ? `${JSON.stringify(_.assign({},
+      failure, { error: error.message }))}\n` : failure);
+    if (isWritable) {
+      callback();
+    } else {
+      this.errorStream.once('drain', () => callback());
+    }
+  }
+}
+
+module.exports = MapStream;
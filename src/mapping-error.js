@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * Thrown in strict mode when one or more values could not be mapped
+ */
+class MappingError extends Error {
+  /**
+   * @param diagnostics list of failed conditions / transforms, see JsonMapper._reportError
+   */
+  constructor(diagnostics) {
+    const details = diagnostics.map(diagnostic => `  ${diagnostic.path}: ${diagnostic.message}`);
+    super([`Mapping failed with ${diagnostics.length} error(s):`].concat(details).join('\n'));
+    this.name = 'MappingError';
+    this.diagnostics = diagnostics;
+  }
+}
+
+module.exports = MappingError;
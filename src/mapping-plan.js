@@ -0,0 +1,564 @@
+'use strict';
+
+const _ = require('lodash');
+const Aggregation = require('./aggregation');
+const KeyPath = require('./key-path');
+const LimitError = require('./limit-error');
+const Lookup = require('./lookup');
+const OutputSchema = require('./output-schema');
+const Template = require('./template');
+const TargetMerger = require('./target-merger');
+const TransformUtil = require('./transform-util');
+const ValueType = require('./value-type');
+
+const OPTIONS = ['transforms', 'preProcess', 'postProcess', 'omitUndefined', 'omitNull',
+  'compactArrays', 'defaultValue', 'strict', 'diagnostics', 'onError', 'async', 'concurrency',
+  'ndjson', 'errorStream', 'highWaterMark', 'mappings', 'explain', 'unreferenced', 'lookups',
+  'safe', 'allowedFunctions', 'limits', 'merge', 'mutate', 'inverses',
+  'checkSchema', 'sources', 'vars'];
+
+// Options whose values are functions, see isOptionsObject
+const FUNCTION_OPTIONS = ['preProcess', 'postProcess', 'onError'];
+
+// Names that are taken by the variables of KeyPath ($root, $index, $parent) and by $vars
+const RESERVED_SOURCE_NAMES = ['root', 'index', 'parent', 'vars'];
+
+// Named mappings that can be included in any mapping, see MappingPlan.registerMapping
+const registeredMappings = {};
+
+/**
+ * Preprocessed mapping object that can be used for mapping any number of source objects.
+ * Key paths are split, function prefixes are parsed and functions are resolved only once.
+ */
+class MappingPlan {
+  /**
+   * @param mappingObject Object that defines new object structure
+   * @param transformSource Source for transform and conditional functions
+   * @param options (optional) {
+   *   transforms: transform source, if the options are passed instead of the transform source,
+   *   preProcess: function that preprocesses all mapped values,
+   *   postProcess: function that processes all mapped values after transforms and defaults,
+   *   omitUndefined: leave out object keys whose mapped value is undefined,
+   *   omitNull: leave out object keys whose mapped value is null,
+   *   compactArrays: also remove these values from arrays (array mappings and _each),
+   *   defaultValue: used for all mappings that resolve to undefined and have no _default,
+   *   strict: throw a MappingError when conditions / transforms fail,
+   *   diagnostics: return { result, diagnostics } instead of the result,
+   *   onError: called for every failed condition / transform,
+   *   explain: return { result, trace } with a trace of how every value was mapped,
+   *   unreferenced: return { result, unreferenced } with the source fields that are not
+   *                 referenced by the mapping,
+   *   async: (compile only) the compiled function returns a Promise, see JsonMapper.mapAsync,
+   *   concurrency: maximum number of running async functions per mapped object,
+   *   ndjson, errorStream, highWaterMark: (createMapStream only) see MapStream,
+   *   mappings: named mappings for _include, e.g. { address: {...} }, in addition to the
+   *             registered mappings (same names override registered mappings),
+   *   lookups: lookup tables for _lookup by name, e.g. { countries: [...] },
+   *   safe: only own function properties of the transform source can be called, unknown
+   *         functions are rejected when compiling, see TransformUtil,
+   *   allowedFunctions: names of the only functions that can be called (implies safe),
+   *   limits: { maxDepth, maxNodes, maxWildcardResults, maxFunctionCalls }, exceeding a limit
+   *           throws a LimitError (maxDepth / maxNodes when compiling the mapping),
+   *   merge: (mapInto only) merge strategy for mappings without _merge, see TargetMerger,
+   *   mutate: (mapInto only) merge into the target object instead of a copy,
+   *   inverses: (reverse only) inverse functions by transform name, see ReverseMapper,
+   *   checkSchema: check mapped objects against the JSON Schema of the mapping, see OutputSchema,
+   *   sources: named source objects in addition to the source object, e.g. { tenant: {...} },
+   *            addressed as "$tenant.currency" (compiled functions can also get them per call),
+   *   vars: variables addressed as "$vars.locale", e.g. { locale: 'de' }
+   * }
+   */
+  constructor(mappingObject, transformSource, options) {
+    if (!_.isObject(mappingObject)) {
+      throw new Error('No mapping provided');
+    }
+    this.options = options || {};
+    if (!_.isUndefined(this.options.merge)) {
+      TargetMerger.checkStrategy(this.options.merge);
+    }
+    MappingPlan.checkSources(this.options.sources);
+    this.preProcess = this.options.preProcess;
+    this.transformUtil = new TransformUtil(transformSource, this.options);
+    this.limits = this.options.limits || {};
+    this.mappings = MappingPlan.resolveMappings(this.options.mappings);
+    // Names of the mappings that are currently included, to detect circular includes
+    this.includeStack = [];
+    // Number of compiled nodes and depth of the current node, see limits
+    this.nodeCount = 0;
+    this.depth = 0;
+    // _ref directives that are resolved after compiling, see _resolveRefs
+    this.refs = [];
+    // Output nodes by output path, only created for mappings with _ref, see _getOutputNodes
+    this.outputNodes = null;
+    this.root = this._compileValue(mappingObject, '');
+    // Nodes of resolved mappings are counted in addition to these nodes, per resolved mapping
+    this.compiledNodeCount = this.nodeCount;
+    if (this.refs.length > 0) {
+      this._resolveRefs();
+    }
+    this.outputSchema = this.options.checkSchema ? new OutputSchema(this) : null;
+  }
+
+  /**
+   * Compiles a mapping with a _source that is only known after mapping,
+   * e.g. { _source: { _source: 'keyPathKey' } }
+   *
+   * @param valueMapping mapping whose nested values are already mapped
+   * @param path path of the mapping in the mapping object
+   */
+  compileResolvedMapping(valueMapping, path) {
+    this.nodeCount = this.compiledNodeCount;
+    this.depth = 0;
+    return this._compileMapping(valueMapping, path, true);
+  }
+
+  /**
+   * Throws a LimitError if the value exceeds the limit of the limits option
+   */
+  checkLimit(limit, value, path) {
+    const max = this.limits[limit];
+    if (_.isNumber(max) && value > max) {
+      throw new LimitError(limit, max, path);
+    }
+  }
+
+  _compileValue(value, path) {
+    this.nodeCount += 1;
+    this.depth += 1;
+    this.checkLimit('maxNodes', this.nodeCount, path);
+    this.checkLimit('maxDepth', this.depth, path);
+    const node = this._compileNode(value, path);
+    this.depth -= 1;
+    return node;
+  }
+
+  /**
+   * Compiles an object/array into plan nodes, the same way JsonMapper._traverseMap visits them
+   */
+  _compileNode(value, path) {
+    if (_.isArray(value)) {
+      return {
+        type: 'array',
+        items: value.map((arrayValue, index) => this._compileValue(arrayValue,
+          MappingPlan.joinPath(path, index)))
+      };
+    } else if (_.isObject(value)) {
+      if (_.has(value, '_cases')) {
+        return this._compileSwitch(value, path);
+      } else if (MappingPlan.isMapping(value)) {
+        return this._compileMapping(value, path, false);
+      }
+      // _merge is the merge strategy of the object, see JsonMapper.mapInto
+      const keys = _.without(Object.keys(value), '_merge');
+      // Nested mappings could resolve to a valid _source, which is checked after mapping
+      const hasDynamicSource = MappingPlan._hasSourceKey(value);
+      return {
+        type: 'object',
+        path,
+        merge: MappingPlan._compileMergeStrategy(value._merge),
+        keys,
+        values: keys.map(key => {
+          const compiledValue = this._compileValue(value[key], MappingPlan.joinPath(path, key));
+          // _each must not be mapped before the source is resolved
+          if (hasDynamicSource && key === '_each') {
+            return { type: 'deferred', node: compiledValue };
+          }
+          return compiledValue;
+        }),
+        hasDynamicSource
+      };
+    }
+    return MappingPlan._compileLiteral(value);
+  }
+
+  _compileMapping(valueMapping, path, isResolved) {
+    const compileValue = isResolved ? MappingPlan._compileLiteral
+      : (value, valuePath) => this._compileValue(value, valuePath);
+    const compileFunctions = directives => {
+      // Same precedence as "valueMapping._transform || valueMapping._transforms"
+      const directive = _.find(directives, key => valueMapping[key]) || directives[0];
+      return this._compileFunctions(valueMapping[directive],
+        MappingPlan.joinPath(path, directive), compileValue, isResolved);
+    };
+    const template = this._compileTemplate(valueMapping, path);
+    return _.assign({
+      type: 'mapping',
+      path
+    }, template ? {
+      sources: valueMapping._template,
+      hasMultipleSources: false,
+      keyPaths: template.keyPaths
+    } : MappingPlan._compileSources(valueMapping._source || valueMapping._sources), {
+      template,
+      ref: this._compileRef(valueMapping._ref, path),
+      isRequired: valueMapping._required === true,
+      merge: MappingPlan._compileMergeStrategy(valueMapping._merge),
+      lookup: _.isUndefined(valueMapping._lookup) ? null : new Lookup(valueMapping._lookup),
+      aggregation: _.isUndefined(valueMapping._aggregate) ? null
+        : new Aggregation(valueMapping._aggregate),
+      conditions: compileFunctions(['_condition', '_conditions']),
+      transforms: compileFunctions(['_transform', '_transforms']),
+      transformEach: compileFunctions(['_transformEach']),
+      valueType: _.isUndefined(valueMapping._type) ? null : new ValueType(valueMapping._type),
+      include: this._compileInclude(valueMapping, path),
+      // Mapping for each element of the source array, resolved _each is already compiled
+      each: isResolved ? valueMapping._each
+        : this._compileEach(valueMapping._each, MappingPlan.joinPath(path, '_each')),
+      defaultValue: compileValue(valueMapping._default, MappingPlan.joinPath(path, '_default'))
+    });
+  }
+
+  /**
+   * Compiles the placeholders of _template, which is used instead of _source
+   *
+   * @returns { keyPaths, parts, missing }, undefined if there is no _template
+   */
+  _compileTemplate(valueMapping, path) {
+    if (!_.isString(valueMapping._template)) {
+      return undefined;
+    }
+    const template = new Template(valueMapping._template);
+    const templatePath = MappingPlan.joinPath(path, '_template');
+    return {
+      keyPaths: template.keyPaths,
+      parts: template.parts.map(part => (part.keyPath ? _.assign({}, part, {
+        transforms: _.isEmpty(part.transforms) ? null : this._compileFunctions(part.transforms,
+          templatePath, MappingPlan._compileLiteral, true)
+      }) : part)),
+      // Placeholders without value: "empty", "keep" (the placeholder) or "default" (_default)
+      missing: valueMapping._missing || 'empty'
+    };
+  }
+
+  /**
+   * Compiles { _switch: 'keyPath', _cases: [{ _condition, _value }], _default }
+   */
+  _compileSwitch(switchMapping, path) {
+    const compileValue = (value, valuePath) => this._compileValue(value, valuePath);
+    const casesPath = MappingPlan.joinPath(path, '_cases');
+    return _.assign({
+      type: 'switch',
+      path
+    }, MappingPlan._compileSources(switchMapping._switch), {
+      cases: [].concat(switchMapping._cases).map((switchCase, index) => {
+        const casePath = MappingPlan.joinPath(casesPath, index);
+        const conditionsKey = _.find(['_condition', '_conditions'], key => switchCase[key])
+          || '_condition';
+        return {
+          conditions: this._compileFunctions(switchCase[conditionsKey],
+            MappingPlan.joinPath(casePath, conditionsKey), compileValue, false),
+          value: this._compileValue(switchCase._value, MappingPlan.joinPath(casePath, '_value'))
+        };
+      }),
+      defaultValue: this._compileValue(switchMapping._default,
+        MappingPlan.joinPath(path, '_default'))
+    });
+  }
+
+  /**
+   * Parses the output path of _ref, e.g. "person.firstName", which is used instead of _source
+   *
+   * @returns { path, keys, node }, the referenced node is set by _resolveRefs,
+   *          undefined if there is no _ref
+   */
+  _compileRef(refPath, path) {
+    if (!_.isString(refPath)) {
+      return undefined;
+    }
+    const keyPath = new KeyPath(refPath);
+    if (keyPath.variable || keyPath.segments.some(segment => segment.type !== 'key'
+      && (segment.type !== 'index' || segment.index < 0))) {
+      throw new Error(`Invalid _ref ${refPath} at ${path || 'root'}, expected an output path `
+        + 'of keys and indexes like "person.name"');
+    }
+    const ref = {
+      path: refPath,
+      keys: keyPath.segments.map(segment => (segment.type === 'index' ? segment.index
+        : segment.key)),
+      node: null
+    };
+    // Mappings compiled after the mapping object (see compileResolvedMapping) are resolved directly
+    if (this.root) {
+      this._resolveRef(ref, path);
+    } else {
+      this.refs.push({ ref, path });
+    }
+    return ref;
+  }
+
+  /**
+   * Resolves the referenced output nodes of all _ref directives and checks that no value
+   * depends on itself. Referenced nodes are marked, so that JsonMapper maps them only once.
+   */
+  _resolveRefs() {
+    const outputNodes = this._getOutputNodes();
+    // Output paths that each output path depends on: the nested values and the referenced paths
+    const dependencies = new Map();
+    outputNodes.forEach((node, outputPath) => dependencies.set(outputPath,
+      _.flatMap(node.keys || node.items || [], (key, index) =>
+        MappingPlan.joinPath(outputPath, node.keys ? key : index))
+        .filter(childPath => outputNodes.has(childPath))));
+    this.refs.forEach(entry => {
+      this._resolveRef(entry.ref, entry.path);
+      const ownerPath = _.findLast(Array.from(outputNodes.keys()), outputPath =>
+        MappingPlan._isWithinPath(entry.path, outputPath));
+      dependencies.get(ownerPath).push(entry.ref.outputPath);
+    });
+    MappingPlan._checkCycles(dependencies);
+  }
+
+  /**
+   * @returns Map of the nodes of the mapping object (objects, arrays and their values)
+   *          by output path, e.g. "person.name"
+   */
+  _getOutputNodes() {
+    if (!this.outputNodes) {
+      this.outputNodes = new Map();
+      const addOutputNode = (node, outputPath) => {
+        this.outputNodes.set(outputPath, node);
+        if (node.type === 'object' && !node.hasDynamicSource) {
+          node.keys.forEach((key, index) => addOutputNode(node.values[index],
+            MappingPlan.joinPath(outputPath, key)));
+        } else if (node.type === 'array') {
+          node.items.forEach((item, index) => addOutputNode(item,
+            MappingPlan.joinPath(outputPath, index)));
+        }
+      };
+      addOutputNode(this.root, '');
+    }
+    return this.outputNodes;
+  }
+
+  /**
+   * Sets the deepest output node of the ref path, the remaining keys are resolved within the
+   * mapped value of that node (e.g. keys of a mapping that results in an object)
+   */
+  _resolveRef(ref, path) {
+    const outputNodes = this._getOutputNodes();
+    const length = _.findLast(_.range(ref.keys.length + 1), index =>
+      outputNodes.has(MappingPlan._toOutputPath(ref.keys.slice(0, index))));
+    const outputPath = MappingPlan._toOutputPath(ref.keys.slice(0, length));
+    const node = outputNodes.get(outputPath);
+    if (length < ref.keys.length && (node.type === 'array'
+      || node.type === 'object' && !node.hasDynamicSource)) {
+      throw new Error(`Unknown _ref ${ref.path} at ${path || 'root'}`);
+    }
+    node.isReferenced = true;
+    node.outputPath = outputPath;
+    Object.assign(ref, { outputPath, node, keys: ref.keys.slice(length) });
+  }
+
+  /**
+   * Compiles the named mapping of _include, keys of the including mapping that do not start
+   * with "_" override or extend the keys of the included mapping
+   */
+  _compileInclude(valueMapping, path) {
+    const name = valueMapping._include;
+    if (_.isUndefined(name)) {
+      return undefined;
+    } else if (!_.has(this.mappings, name)) {
+      throw new Error(`Unknown mapping "${name}" included at ${path || 'root'}`);
+    } else if (_.includes(this.includeStack, name)) {
+      throw new Error(`Circular include: ${this.includeStack.concat(name).join(' -> ')}`);
+    }
+    const overrides = _.pickBy(valueMapping, (value, key) => !_.startsWith(key, '_'));
+    const includedMapping = this.mappings[name];
+    this.includeStack.push(name);
+    const compiledInclude = this._compileValue(_.isPlainObject(includedMapping) && !_.isEmpty(
+      overrides) ? _.assign({}, includedMapping, overrides) : includedMapping, path);
+    this.includeStack.pop();
+    return compiledInclude;
+  }
+
+  _compileEach(eachMapping, path) {
+    return _.isUndefined(eachMapping) ? undefined : this._compileValue(eachMapping, path);
+  }
+
+  /**
+   * Resolves function objects (e.g. [{ '!isEqual': [1] }]) into FunctionCalls,
+   * the parameters are compiled as they may contain nested mappings
+   */
+  _compileFunctions(functionObjects, path, compileValue, isResolved) {
+    if (!functionObjects) {
+      return null;
+    }
+    // Function objects that are mappings themselves are passed to TransformUtil after mapping
+    if (!isResolved && MappingPlan._hasSourceKey(functionObjects)) {
+      return { value: compileValue(functionObjects, path) };
+    }
+    const isArray = _.isArray(functionObjects);
+    return {
+      calls: [].concat(functionObjects).map((functionObject, index) => {
+        const functionPath = isArray ? MappingPlan.joinPath(path, index) : path;
+        const combinator = TransformUtil.getCombinator(functionObject);
+        // Condition combinators, e.g. { _any: [{ isEqual: [1] }, { isEqual: [2] }] }
+        if (combinator) {
+          return {
+            combinator,
+            conditions: this._compileFunctions(functionObject[combinator],
+              MappingPlan.joinPath(functionPath, combinator), compileValue, isResolved)
+          };
+        }
+        if (!_.isObject(functionObject)
+          || (!isResolved && MappingPlan._hasSourceKey(functionObject))) {
+          return { value: compileValue(functionObject, functionPath) };
+        }
+        const functionCall = this.transformUtil.createFunctionCall(functionObject);
+        if (this.transformUtil.isSafe && !_.isFunction(functionCall.fn)) {
+          throw new Error(`Unknown or not allowed function ${
+            functionCall.prefix.functionNameWithoutPrefix} at ${functionPath}`);
+        }
+        return {
+          functionCall,
+          parameters: compileValue(functionCall.parameters,
+            MappingPlan.joinPath(functionPath, functionCall.name))
+        };
+      })
+    };
+  }
+
+  /**
+   * @returns true if the given object is a mapping, i.e. it has a valid _source / _sources
+   */
+  static isMapping(value) {
+    if (!_.isObject(value) || _.isArray(value)) {
+      return false;
+    }
+    // Mappings with _include can use the current source object instead of a _source
+    if (_.isString(value._include) && !MappingPlan._hasSourceKey(value)) {
+      return true;
+    }
+    if (_.isString(value._template) || _.isString(value._ref)) {
+      return true;
+    }
+    const sourcesValues = value._source || value._sources;
+    return _.isString(sourcesValues)
+      || (_.isArray(sourcesValues) && sourcesValues.every(_.isString));
+  }
+
+  /**
+   * Registers a named mapping that can be included in all mappings with { _include: name }
+   */
+  static registerMapping(name, mappingObject) {
+    if (!_.isString(name) || !name) {
+      throw new Error('Mapping name must be a non-empty string');
+    } else if (!_.isObject(mappingObject)) {
+      throw new Error('No mapping provided');
+    }
+    registeredMappings[name] = mappingObject;
+  }
+
+  /**
+   * @returns registered mappings, extended / overridden by the given mappings
+   */
+  static resolveMappings(mappings) {
+    return _.assign({}, registeredMappings, mappings);
+  }
+
+  /**
+   * Throws an error if the named sources are no object or a name cannot be addressed
+   * as variable, e.g. "$root" or "$my-source"
+   */
+  static checkSources(sources) {
+    if (_.isUndefined(sources)) {
+      return;
+    } else if (!_.isPlainObject(sources)) {
+      throw new Error('Sources must be an object of source objects by name');
+    }
+    const invalidName = _.find(Object.keys(sources), name => !/^[A-Za-z_]\w*$/.test(name)
+      || _.includes(RESERVED_SOURCE_NAMES, name));
+    if (!_.isUndefined(invalidName)) {
+      throw new Error(`Invalid source name ${invalidName}, expected a name like "tenant" (except ${
+        RESERVED_SOURCE_NAMES.join(', ')})`);
+    }
+  }
+
+  /**
+   * @returns true if the value is an options object rather than a transform source, i.e. it has
+   *          "transforms", or it has at least one of the option keys and no functions other than
+   *          the function options (transform sources can have functions named like options)
+   */
+  static isOptionsObject(value) {
+    if (!_.isPlainObject(value)) {
+      return false;
+    } else if (_.has(value, 'transforms')) {
+      return true;
+    }
+    return OPTIONS.some(option => _.has(value, option)) && _.every(value, (optionValue, key) =>
+      !_.isFunction(optionValue) || _.includes(FUNCTION_OPTIONS, key));
+  }
+
+  /**
+   * Joins mapping paths, e.g. "fruit._transform[0]"
+   */
+  static joinPath(path, key) {
+    if (_.isNumber(key)) {
+      return `${path}[${key}]`;
+    }
+    return path ? `${path}.${key}` : key;
+  }
+
+  /**
+   * Without source (only possible with _include / _switch), the current source object is used
+   */
+  static _compileSources(sourcesValues) {
+    return {
+      sources: sourcesValues,
+      hasMultipleSources: _.isArray(sourcesValues),
+      keyPaths: _.isUndefined(sourcesValues) ? []
+        : [].concat(sourcesValues).map(keyPath => new KeyPath(keyPath))
+    };
+  }
+
+  static _compileMergeStrategy(strategy) {
+    if (_.isUndefined(strategy)) {
+      return undefined;
+    }
+    TargetMerger.checkStrategy(strategy);
+    return strategy;
+  }
+
+  static _hasSourceKey(value) {
+    return _.isObject(value) && !_.isArray(value) && (_.has(value, '_source')
+      || _.has(value, '_sources'));
+  }
+
+  static _toOutputPath(keys) {
+    return keys.reduce(MappingPlan.joinPath, '');
+  }
+
+  /**
+   * @returns true if the mapping path is the output path or a path within it
+   */
+  static _isWithinPath(path, outputPath) {
+    return !outputPath || path === outputPath || _.startsWith(path, `${outputPath}.`)
+      || _.startsWith(path, `${outputPath}[`);
+  }
+
+  /**
+   * Throws an error if an output path depends on itself, e.g. "Circular _ref: a -> b -> a"
+   *
+   * @param dependencies Map of the output paths that each output path depends on
+   */
+  static _checkCycles(dependencies) {
+    const checkedPaths = new Set();
+    const visit = (outputPath, stack) => {
+      if (_.includes(stack, outputPath)) {
+        const cycle = stack.slice(stack.indexOf(outputPath)).concat(outputPath);
+        throw new Error(`Circular _ref: ${cycle.map(cyclePath => cyclePath || 'root')
+          .join(' -> ')}`);
+      } else if (!checkedPaths.has(outputPath)) {
+        dependencies.get(outputPath).forEach(dependency =>
+          visit(dependency, stack.concat(outputPath)));
+        checkedPaths.add(outputPath);
+      }
+    };
+    dependencies.forEach((paths, outputPath) => visit(outputPath, []));
+  }
+
+  static _compileLiteral(value) {
+    return { type: 'literal', value };
+  }
+}
+
+module.exports = MappingPlan;
@@ -0,0 +1,402 @@
+'use strict';
+
+const _ = require('lodash');
+const Aggregation = require('./aggregation');
+const KeyPath = require('./key-path');
+const Lookup = require('./lookup');
+const MappingPlan = require('./mapping-plan');
+const TargetMerger = require('./target-merger');
+const Template = require('./template');
+const TransformUtil = require('./transform-util');
+const ValueType = require('./value-type');
+
+const SOURCE_DIRECTIVES = ['_source', '_sources'];
+const FUNCTION_DIRECTIVES = ['_condition', '_conditions', '_transform', '_transforms',
+  '_transformEach'];
+const CONDITION_DIRECTIVES = ['_condition', '_conditions'];
+const SWITCH_DIRECTIVES = ['_switch', '_cases', '_value'];
+const TEMPLATE_DIRECTIVES = ['_template', '_missing'];
+const MISSING_VALUE_BEHAVIORS = ['empty', 'keep', 'default'];
+const DIRECTIVES = SOURCE_DIRECTIVES.concat(FUNCTION_DIRECTIVES, '_default', '_each', '_include',
+  '_ref', '_required', '_lookup', '_aggregate', '_type', '_merge', TEMPLATE_DIRECTIVES,
+  SWITCH_DIRECTIVES);
+
+class MappingValidator {
+  /**
+   * @param transformSource Source for transform and conditional functions
+   * @param mappings (optional) named mappings that can be included, e.g. { address: {...} }
+   * @param options (optional) { safe, allowedFunctions }, see TransformUtil
+   */
+  constructor(transformSource, mappings, options) {
+    this.transformSource = transformSource;
+    this.options = options || {};
+    this.transformUtil = new TransformUtil(transformSource, options);
+    this.mappings = mappings || {};
+    // Names of the mappings that are currently validated as part of an _include
+    this.includeStack = [];
+    this.problems = [];
+    // Number of enclosing _each mappings
+    this.eachDepth = 0;
+    this.hasRefs = false;
+  }
+
+  /**
+   * Walks the mapping object the same way JsonMapper does and collects all problems
+   *
+   * @param mappingObject Object that defines new object structure
+   * @returns list of problems, e.g. [{ path: 'user.name', message: '...' }]
+   */
+  validate(mappingObject) {
+    this.problems = [];
+    this.eachDepth = 0;
+    this.includeStack = [];
+    this.hasRefs = false;
+    if (!_.isObject(mappingObject)) {
+      this._addProblem('', 'No mapping provided');
+    } else {
+      this._validateValue(mappingObject, '');
+    }
+    // Unknown and circular _ref paths are found by compiling the (otherwise valid) mapping
+    if (this.hasRefs && this.problems.length === 0) {
+      this._validateDefinition(() => new MappingPlan(mappingObject, this.transformSource,
+        _.assign({}, this.options, { mappings: this.mappings })), '');
+    }
+    return this.problems;
+  }
+
+  _validateValue(value, path) {
+    if (_.isArray(value)) {
+      value.forEach((arrayValue, index) => this._validateValue(arrayValue,
+        MappingPlan.joinPath(path, index)));
+    } else if (_.isPlainObject(value)) {
+      if (_.has(value, '_cases')) {
+        this._validateSwitchNode(value, path);
+      } else if (MappingValidator._isMappingNode(value)) {
+        this._validateMappingNode(value, path);
+      } else {
+        this._validatePlainObject(value, path);
+      }
+    }
+  }
+
+  _validatePlainObject(object, path) {
+    _.forOwn(object, (objectValue, key) => {
+      const keyPath = MappingPlan.joinPath(path, key);
+      if (key === '_switch') {
+        this._addProblem(keyPath, 'Directive _switch has no effect without _cases');
+      } else if (key === '_value') {
+        this._addProblem(keyPath, 'Directive _value can only be used in _cases');
+      } else if (key === '_missing') {
+        this._addProblem(keyPath, 'Directive _missing has no effect without _template');
+      } else if (key === '_merge') {
+        this._validateDefinition(() => TargetMerger.checkStrategy(objectValue), keyPath);
+      } else if (_.includes(DIRECTIVES, key)) {
+        this._addProblem(keyPath, `Directive ${key} has no effect without _source`);
+      } else if (MappingValidator._isDirectiveTypo(key)) {
+        this._addProblem(keyPath, `Unknown directive ${key}`);
+      }
+      this._validateValue(objectValue, keyPath);
+    });
+  }
+
+  _validateMappingNode(mappingNode, path) {
+    if (_.has(mappingNode, '_source') && _.has(mappingNode, '_sources')) {
+      this._addProblem(path, 'Only one of _source and _sources can be defined');
+    }
+    if (_.has(mappingNode, '_template') && SOURCE_DIRECTIVES.some(directive =>
+      _.has(mappingNode, directive))) {
+      this._addProblem(path, 'Directive _template cannot be combined with _source / _sources');
+    }
+    if (_.has(mappingNode, '_ref') && SOURCE_DIRECTIVES.concat('_template').some(directive =>
+      _.has(mappingNode, directive))) {
+      this._addProblem(path,
+        'Directive _ref cannot be combined with _source / _sources / _template');
+    }
+    _.forOwn(mappingNode, (directiveValue, key) => {
+      const keyPath = MappingPlan.joinPath(path, key);
+      if (_.includes(SOURCE_DIRECTIVES, key)) {
+        this._validateSource(directiveValue, keyPath);
+      } else if (_.includes(FUNCTION_DIRECTIVES, key)) {
+        this._validateFunctions(directiveValue, keyPath, _.includes(CONDITION_DIRECTIVES, key));
+      } else if (key === '_default') {
+        this._validateValue(directiveValue, keyPath);
+      } else if (key === '_each') {
+        this.eachDepth += 1;
+        this._validateValue(directiveValue, keyPath);
+        this.eachDepth -= 1;
+      } else if (key === '_include') {
+        this._validateInclude(directiveValue, keyPath, path);
+      } else if (key === '_template') {
+        this._validateTemplate(directiveValue, keyPath);
+      } else if (key === '_ref') {
+        this._validateRef(directiveValue, keyPath);
+      } else if (key === '_missing') {
+        if (!_.has(mappingNode, '_template')) {
+          this._addProblem(keyPath, 'Directive _missing has no effect without _template');
+        } else if (!_.includes(MISSING_VALUE_BEHAVIORS, directiveValue)) {
+          this._addProblem(keyPath, `Directive _missing must be one of ${
+            MISSING_VALUE_BEHAVIORS.join(', ')}`);
+        }
+      } else if (key === '_lookup') {
+        this._validateDefinition(() => new Lookup(directiveValue), keyPath);
+      } else if (key === '_aggregate') {
+        this._validateDefinition(() => new Aggregation(directiveValue), keyPath);
+      } else if (key === '_type') {
+        this._validateDefinition(() => new ValueType(directiveValue), keyPath);
+      } else if (key === '_merge') {
+        this._validateDefinition(() => TargetMerger.checkStrategy(directiveValue), keyPath);
+      } else if (key === '_required') {
+        if (!_.isBoolean(directiveValue)) {
+          this._addProblem(keyPath, 'Directive _required must be true or false');
+        }
+      } else if (_.startsWith(key, '_')) {
+        this._addProblem(keyPath, `Unknown directive ${key}`);
+      } else if (_.has(mappingNode, '_include')) {
+        // Keys next to _include override keys of the included mapping
+        this._validateValue(directiveValue, keyPath);
+      } else {
+        this._addProblem(keyPath, `Key ${key} is ignored in a mapping with _source`);
+      }
+    });
+  }
+
+  _validateSwitchNode(switchNode, path) {
+    _.forOwn(switchNode, (directiveValue, key) => {
+      const keyPath = MappingPlan.joinPath(path, key);
+      if (key === '_switch') {
+        this._validateSource(directiveValue, keyPath);
+      } else if (key === '_cases') {
+        this._validateCases(directiveValue, keyPath);
+      } else if (key === '_default') {
+        this._validateValue(directiveValue, keyPath);
+      } else if (_.startsWith(key, '_')) {
+        this._addProblem(keyPath, `Unknown directive ${key}`);
+      } else {
+        this._addProblem(keyPath, `Key ${key} is ignored in a mapping with _cases`);
+      }
+    });
+  }
+
+  _validateCases(cases, path) {
+    if (!_.isArray(cases)) {
+      this._addProblem(path, 'Cases must be an array');
+      return;
+    }
+    cases.forEach((switchCase, index) => {
+      const casePath = MappingPlan.joinPath(path, index);
+      if (!_.isPlainObject(switchCase) || !_.has(switchCase, '_value')) {
+        this._addProblem(casePath, 'Case must be defined as { _condition, _value }');
+        return;
+      }
+      _.forOwn(switchCase, (caseValue, key) => {
+        const keyPath = MappingPlan.joinPath(casePath, key);
+        if (_.includes(CONDITION_DIRECTIVES, key)) {
+          this._validateFunctions(caseValue, keyPath, true);
+        } else if (key === '_value') {
+          this._validateValue(caseValue, keyPath);
+        } else {
+          this._addProblem(keyPath, `Key ${key} is ignored in a case`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Validates the included mapping in place of the including mapping
+   */
+  _validateInclude(name, path, mappingPath) {
+    if (!_.isString(name)) {
+      this._addProblem(path, 'Included mapping name must be a string');
+    } else if (!_.has(this.mappings, name)) {
+      this._addProblem(path, `Unknown mapping ${name}`);
+    } else if (_.includes(this.includeStack, name)) {
+      this._addProblem(path, `Circular include: ${this.includeStack.concat(name).join(' -> ')}`);
+    } else {
+      this.includeStack.push(name);
+      this._validateValue(this.mappings[name], mappingPath);
+      this.includeStack.pop();
+    }
+  }
+
+  _validateSource(source, path) {
+    if (_.isArray(source)) {
+      source.forEach((keyPath, index) => {
+        const sourcePath = MappingPlan.joinPath(path, index);
+        if (MappingValidator._isMappingNode(keyPath)) {
+          this._validateValue(keyPath, sourcePath);
+        } else if (!_.isString(keyPath)) {
+          this._addProblem(sourcePath, 'Source path must be a string');
+        } else {
+          this._validateKeyPath(keyPath, sourcePath);
+        }
+      });
+    } else if (MappingValidator._isMappingNode(source)) {
+      // Nested mappings resolve to the source path when mapping, e.g. { _source: 'keyPath' }
+      this._validateValue(source, path);
+    } else if (!_.isString(source)) {
+      this._addProblem(path, 'Source must be a string or an array of strings');
+    } else {
+      this._validateKeyPath(source, path);
+    }
+  }
+
+  _validateKeyPath(keyPath, path) {
+    let variable;
+    try {
+      variable = new KeyPath(keyPath).variable;
+    } catch (error) {
+      this._addProblem(path, `Invalid source path: ${error.message}`);
+      return;
+    }
+    this._validateVariable(variable, path);
+  }
+
+  _validateRef(ref, path) {
+    this.hasRefs = true;
+    if (!_.isString(ref)) {
+      this._addProblem(path, 'Directive _ref must be an output path like "person.name"');
+    } else {
+      this._validateDefinition(() => new KeyPath(ref), path);
+    }
+  }
+
+  /**
+   * Validates the placeholders of a template like a _source and their transforms
+   */
+  _validateTemplate(template, path) {
+    if (!_.isString(template)) {
+      this._addProblem(path, 'Template must be a string');
+      return;
+    }
+    let parts;
+    try {
+      parts = new Template(template).parts;
+    } catch (error) {
+      this._addProblem(path, error.message);
+      return;
+    }
+    parts.filter(part => part.keyPath).forEach(part => {
+      this._validateVariable(part.keyPath.variable, path);
+      part.transforms.forEach(functionObject => this._validateFunctionObject(functionObject, path,
+        false));
+    });
+  }
+
+  /**
+   * Reports the error thrown when parsing a directive, e.g. _lookup or _merge
+   */
+  _validateDefinition(parse, path) {
+    try {
+      parse();
+    } catch (error) {
+      this._addProblem(path, error.message);
+    }
+  }
+
+  _validateVariable(variable, path) {
+    if (KeyPath.isNamedVariable(variable)) {
+      // Named sources are only known if they are passed as option (not per compiled call),
+      // without a source of that name, the path refers to a key of the source object (e.g. "$id")
+      if (variable !== '$vars' && this.options.sources
+        && !_.has(this.options.sources, variable.slice(1))) {
+        this._addProblem(path, `Unknown source ${variable} (quote keys starting with "$", `
+          + `e.g. "['${variable}']")`);
+      }
+    } else if (variable === '$parent' && this.eachDepth < 2) {
+      this._addProblem(path, 'Variable $parent can only be used inside of a nested _each');
+    } else if (variable && variable !== '$root' && this.eachDepth < 1) {
+      this._addProblem(path, `Variable ${variable} can only be used inside of _each`);
+    }
+  }
+
+  /**
+   * @param isCondition combinators (_any, _all, _not) can only be used in conditions
+   */
+  _validateFunctions(functionObjects, path, isCondition) {
+    if (MappingValidator._hasSource(functionObjects)) {
+      // Nested mappings resolve to the function objects when mapping, e.g. { _source: 'fn' }
+      this._validateValue(functionObjects, path);
+    } else if (_.isArray(functionObjects)) {
+      functionObjects.forEach((functionObject, index) => this._validateFunctionObject(
+        functionObject, MappingPlan.joinPath(path, index), isCondition));
+    } else {
+      this._validateFunctionObject(functionObjects, path, isCondition);
+    }
+  }
+
+  _validateFunctionObject(functionObject, path, isCondition) {
+    if (MappingValidator._hasSource(functionObject)) {
+      this._validateValue(functionObject, path);
+      return;
+    }
+    const combinator = TransformUtil.getCombinator(functionObject);
+    if (combinator) {
+      const keyPath = MappingPlan.joinPath(path, combinator);
+      if (isCondition) {
+        this._validateFunctions(functionObject[combinator], keyPath, true);
+      } else {
+        this._addProblem(keyPath, `Combinator ${combinator} can only be used in conditions`);
+      }
+      return;
+    }
+    // Syntax: { functionName: ['param1', 'param2'] }
+    const functionNames = _.isPlainObject(functionObject) ? Object.keys(functionObject) : [];
+    if (functionNames.length !== 1) {
+      this._addProblem(path, 'Function must be defined as { functionName: [parameters] }');
+      return;
+    }
+    const functionName = functionNames[0];
+    const parameters = functionObject[functionName];
+    const keyPath = MappingPlan.joinPath(path, functionName);
+    const name = TransformUtil._checkFunctionPrefix(functionName).functionNameWithoutPrefix;
+    if (!_.isFunction(this.transformUtil.resolveFunction(name))) {
+      this._addProblem(keyPath, `Unknown function ${name}`);
+    }
+    if (!_.isArray(parameters)) {
+      this._addProblem(keyPath, 'Function parameters must be an array');
+    }
+    // Parameters can contain nested mappings
+    this._validateValue(parameters, keyPath);
+  }
+
+  _addProblem(path, message) {
+    this.problems.push({ path, message });
+  }
+
+  static _hasSource(value) {
+    return _.isPlainObject(value) && SOURCE_DIRECTIVES.some(directive => _.has(value, directive));
+  }
+
+  static _isMappingNode(value) {
+    return _.isPlainObject(value) && SOURCE_DIRECTIVES.concat('_include', '_template', '_ref')
+      .some(directive => _.has(value, directive));
+  }
+
+  /**
+   * Keys like "_sourse" or "_Transform" are most likely misspelled directives
+   */
+  static _isDirectiveTypo(key) {
+    if (!_.startsWith(key, '_')) {
+      return false;
+    }
+    return DIRECTIVES.some(directive =>
+      MappingValidator._editDistance(key.toLowerCase(), directive) <= 2);
+  }
+
+  static _editDistance(a, b) {
+    let previousRow = _.range(b.length + 1);
+    _.times(a.length, i => {
+      const row = [i + 1];
+      _.times(b.length, j => {
+        const substitutionCost = a[i] === b[j] ? 0 : 1;
+        row.push(Math.min(row[j] + 1, previousRow[j + 1] + 1, previousRow[j] + substitutionCost));
+      });
+      previousRow = row;
+    });
+    return previousRow[b.length];
+  }
+}
+
+MappingValidator.DIRECTIVES = DIRECTIVES;
+
+module.exports = MappingValidator;
@@ -0,0 +1,281 @@
+'use strict';
+
+const _ = require('lodash');
+const standardLibrary = require('./standard-library');
+const ValueType = require('./value-type');
+
+const SCHEMA_VERSION = 'http://json-schema.org/draft-07/schema#';
+
+// Return types of built-in functions (same syntax as _type), used if not overridden
+const BUILT_IN_RETURN_TYPES = {
+  string: ['trim', 'trimStart', 'trimEnd', 'toUpperCase', 'toLowerCase', 'capitalize', 'join',
+    'replace', 'replaceRegExp', 'padStart', 'padEnd', 'substr', 'append', 'prepend', 'toFixed',
+    'formatDate'],
+  'string[]': ['split'],
+  number: ['parseNumber', 'round', 'clamp'],
+  integer: ['parseInteger', 'toTimestamp'],
+  date: ['toISOString'],
+  boolean: ['equals', 'in', 'exists', 'matches', 'isString', 'isNumber', 'isBoolean', 'isArray',
+    'isObject', 'isEmpty'],
+  array: ['flatten', 'unique', 'sort', 'pluck', 'zipToObjects']
+};
+
+// Schemas of the _aggregate results by aggregation name
+const AGGREGATION_SCHEMAS = {
+  sum: { type: 'number' },
+  count: { type: 'integer' },
+  avg: { type: 'number' },
+  min: { type: 'number' },
+  max: { type: 'number' },
+  distinct: { type: 'array' },
+  groupBy: { type: 'object' },
+  countBy: { type: 'object' }
+};
+
+// Checks of the type keyword by type name
+const TYPE_CHECKS = {
+  string: _.isString,
+  number: value => _.isNumber(value) && _.isFinite(value),
+  integer: _.isInteger,
+  boolean: _.isBoolean,
+  null: _.isNull,
+  array: _.isArray,
+  object: _.isPlainObject
+};
+
+const joinPath = (path, key) => {
+  if (_.isNumber(key)) {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+};
+
+/**
+ * @returns JSON type name of the value, e.g. "integer" or "null"
+ */
+const getType = value => _.find(['null', 'boolean', 'integer', 'number', 'string', 'array',
+  'object'], type => TYPE_CHECKS[type](value)) || typeof value;
+
+/**
+ * JSON Schema (draft-07) of the objects that a mapping creates, see JsonMapper.toJsonSchema.
+ * The mapping plan is walked like JsonMapper._traverseMap:
+ *
+ * - Literals become { type, const }
+ * - The type of mappings comes from _type, the returnType of the last transform function
+ *   (a type name like _type or a JSON Schema), _template, _aggregate, _each / _include,
+ *   or the referenced value of _ref. _sources become arrays, wildcard sources are untyped
+ *   (a single match is no array). Default values of another type are added with anyOf.
+ * - Mappings with conditions or without _default (and without _required) are optional
+ */
+class OutputSchema {
+  /**
+   * @param mappingPlan MappingPlan, its defaultValue option makes all mappings required
+   */
+  constructor(mappingPlan) {
+    this.defaultValue = mappingPlan.options.defaultValue;
+    this.hasDefaultValue = !_.isUndefined(this.defaultValue);
+    this.schema = _.assign({ $schema: SCHEMA_VERSION },
+      this._createSchema(mappingPlan.root).schema);
+  }
+
+  /**
+   * Checks the value against the schema, only the keywords of generated schemas are supported:
+   * type, const, format (date-time), properties, required, additionalProperties, items, anyOf
+   *
+   * @returns list of problems, e.g. [{ path: 'items[0].price', message: 'Expected number,
+   *          got string' }], an empty list if the value matches the schema
+   */
+  check(value) {
+    return OutputSchema._check(value, this.schema, '');
+  }
+
+  /**
+   * @returns { schema, isOptional } of the node
+   */
+  _createSchema(node) {
+    if (node.type === 'literal') {
+      return {
+        schema: _.isUndefined(node.value) ? {} : { type: getType(node.value), const: node.value },
+        isOptional: _.isUndefined(node.value)
+      };
+    } else if (node.type === 'array') {
+      return {
+        schema: { type: 'array', items: node.items.map(item => this._createSchema(item).schema) },
+        isOptional: false
+      };
+    } else if (node.type === 'object') {
+      return {
+        schema: node.hasDynamicSource ? {} : this._createObjectSchema(node),
+        isOptional: false
+      };
+    } else if (node.type === 'switch') {
+      return this._createSwitchSchema(node);
+    } else if (node.type === 'mapping') {
+      const hasDefault = this.hasDefaultValue || !OutputSchema._isUndefined(node.defaultValue);
+      return {
+        schema: this._createMappingSchema(node),
+        isOptional: Boolean(node.conditions) || (!hasDefault && !node.isRequired)
+      };
+    }
+    return { schema: {}, isOptional: true };
+  }
+
+  _createObjectSchema(node) {
+    const properties = {};
+    const required = [];
+    node.keys.forEach((key, index) => {
+      const valueSchema = this._createSchema(node.values[index]);
+      properties[key] = valueSchema.schema;
+      if (!valueSchema.isOptional) required.push(key);
+    });
+    return { type: 'object', properties, required, additionalProperties: false };
+  }
+
+  _createSwitchSchema(node) {
+    const schemas = _.uniqWith(node.cases.concat({ value: node.defaultValue }).map(switchCase =>
+      this._createSchema(switchCase.value).schema), _.isEqual);
+    return {
+      schema: schemas.length === 1 ? schemas[0] : { anyOf: schemas },
+      isOptional: !this.hasDefaultValue && OutputSchema._isUndefined(node.defaultValue)
+    };
+  }
+
+  /**
+   * @returns schema of the mapped value or the default value (which is not converted)
+   */
+  _createMappingSchema(node) {
+    const schema = this._createValueSchema(node);
+    const defaultNode = OutputSchema._isUndefined(node.defaultValue) && this.hasDefaultValue
+      ? { type: 'literal', value: this.defaultValue } : node.defaultValue;
+    if (_.isEmpty(schema) || OutputSchema._isUndefined(defaultNode)) {
+      return schema;
+    } else if (defaultNode.type === 'literal') {
+      return OutputSchema._check(defaultNode.value, schema, '').length === 0 ? schema
+        : { anyOf: [schema, this._createSchema(defaultNode).schema] };
+    }
+    const defaultSchema = this._createSchema(defaultNode).schema;
+    if (_.isEmpty(defaultSchema)) {
+      return {};
+    }
+    return _.isEqual(schema, defaultSchema) ? schema : { anyOf: [schema, defaultSchema] };
+  }
+
+  /**
+   * @returns schema of the mapped value without default, in the reverse order of
+   *          JsonMapper._mapValue
+   */
+  _createValueSchema(node) {
+    // A wildcard source with a single match resolves to the value instead of an array
+    const isWildcard = !node.hasMultipleSources && _.some(node.keyPaths, 'hasWildcard');
+    if (node.valueType) {
+      return node.valueType.toSchema();
+    } else if (node.transformEach) {
+      return OutputSchema._createTransformEachSchema(node, isWildcard);
+    } else if (node.transforms) {
+      return OutputSchema._getReturnSchema(node.transforms) || {};
+    } else if (node.template) {
+      return { type: 'string' };
+    } else if (node.aggregation) {
+      return _.clone(AGGREGATION_SCHEMAS[node.aggregation.name]);
+    } else if (node.each) {
+      return { type: 'array', items: this._createSchema(node.each).schema };
+    } else if (node.include) {
+      return this._createSchema(node.include).schema;
+    } else if (node.lookup) {
+      return {};
+    } else if (node.ref) {
+      // The schema of a value within the referenced value is unknown
+      return node.ref.keys.length === 0 ? this._createSchema(node.ref.node).schema : {};
+    }
+    return node.hasMultipleSources ? { type: 'array' } : {};
+  }
+
+  /**
+   * @returns schema of a mapping with _transformEach, which is applied after _transform and only
+   *          to arrays (other values are kept)
+   */
+  static _createTransformEachSchema(node, isWildcard) {
+    let schema = { type: 'array' };
+    if (node.transforms) {
+      schema = OutputSchema._getReturnSchema(node.transforms) || {};
+    } else if (isWildcard) {
+      schema = {};
+    }
+    if (schema.type !== 'array') {
+      return schema;
+    }
+    const itemSchema = OutputSchema._getReturnSchema(node.transformEach);
+    return itemSchema ? _.assign({}, schema, { items: itemSchema }) : _.omit(schema, 'items');
+  }
+
+  /**
+   * @returns schema of the returnType of the last function, null if it is unknown
+   */
+  static _getReturnSchema(functionsNode) {
+    const functionNode = functionsNode.calls ? _.last(functionsNode.calls) : null;
+    const functionCall = functionNode ? functionNode.functionCall : null;
+    if (!functionCall || !_.isFunction(functionCall.fn)) {
+      return null;
+    }
+    const name = functionCall.prefix.functionNameWithoutPrefix;
+    let returnType = functionCall.fn.returnType;
+    if (_.isUndefined(returnType) && functionCall.fn === standardLibrary[name]) {
+      returnType = _.findKey(BUILT_IN_RETURN_TYPES, names => _.includes(names, name));
+    }
+    if (_.isString(returnType)) {
+      return new ValueType(returnType).toSchema();
+    }
+    return _.isPlainObject(returnType) ? _.cloneDeep(returnType) : null;
+  }
+
+  static _isUndefined(node) {
+    return node.type === 'literal' && _.isUndefined(node.value);
+  }
+
+  static _check(value, schema, path) {
+    if (schema.anyOf) {
+      const isValid = schema.anyOf.some(subSchema =>
+        OutputSchema._check(value, subSchema, path).length === 0);
+      return isValid ? [] : [{ path, message: 'Value does not match any of the schemas' }];
+    }
+    if (_.has(schema, 'const') && !_.isEqual(value, schema.const)) {
+      return [{ path, message: `Expected ${JSON.stringify(schema.const)}` }];
+    } else if (schema.type && !TYPE_CHECKS[schema.type](value)
+      && !(schema.type === 'number' && TYPE_CHECKS.integer(value))) {
+      return [{ path, message: `Expected ${schema.type}, got ${getType(value)}` }];
+    } else if (schema.format === 'date-time' && (!/^\d{4}-\d\d-\d\dT/.test(value)
+      || !_.isFinite(new Date(value).getTime()))) {
+      return [{ path, message: 'Expected date-time' }];
+    }
+    if (_.isPlainObject(value) && schema.properties) {
+      return OutputSchema._checkProperties(value, schema, path);
+    } else if (_.isArray(value) && schema.items) {
+      return _.flatMap(value, (element, index) => {
+        const itemSchema = _.isArray(schema.items) ? schema.items[index] : schema.items;
+        return itemSchema ? OutputSchema._check(element, itemSchema, joinPath(path, index)) : [];
+      });
+    }
+    return [];
+  }
+
+  static _checkProperties(value, schema, path) {
+    const missingKeys = _.filter(schema.required, key => _.isUndefined(value[key]));
+    const missingProblems = missingKeys.map(key => ({
+      path: joinPath(path, key),
+      message: 'Missing required property'
+    }));
+    const propertyProblems = _.flatMap(Object.keys(value), key => {
+      if (_.isUndefined(value[key])) {
+        return [];
+      } else if (_.has(schema.properties, key)) {
+        return OutputSchema._check(value[key], schema.properties[key], joinPath(path, key));
+      } else if (schema.additionalProperties === false) {
+        return [{ path: joinPath(path, key), message: 'Unexpected property' }];
+      }
+      return [];
+    });
+    return missingProblems.concat(propertyProblems);
+  }
+}
+
+module.exports = OutputSchema;
@@ -0,0 +1,243 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Inverse functions of built-in transforms, called with the same parameters
+ */
+const STANDARD_INVERSES = {
+  append: (value, suffix) => (_.endsWith(value, suffix) ? value.slice(0, value.length
+    - String(suffix).length) : value),
+  prepend: (value, prefix) => (_.startsWith(value, prefix) ? value.slice(String(prefix).length)
+    : value),
+  split: (array, separator) => array.join(separator),
+  join: (value, separator) => String(value).split(_.isUndefined(separator) ? ',' : separator),
+  parseNumber: value => String(value),
+  parseInteger: (value, radix) => value.toString(radix || 10),
+  toISOString: _.identity,
+  toTimestamp: value => new Date(value).toISOString()
+};
+
+/**
+ * Creates source objects from mapped objects by writing every mapped value back to its _source
+ * path, see JsonMapper.reverse
+ */
+class ReverseMapper {
+  /**
+   * @param mappingPlan MappingPlan of the mapping that created the mapped objects
+   * @param inverses (optional) inverse functions by transform name, e.g.
+   *                 { addPrefix: (value, prefix) => value.slice(prefix.length) }
+   */
+  constructor(mappingPlan, inverses) {
+    this.mappingPlan = mappingPlan;
+    this.inverses = inverses || {};
+  }
+
+  /**
+   * @returns { result, nonInvertible } with the source object and the mappings that could not
+   *          be inverted, e.g. [{ path: 'total', message: '...' }]
+   */
+  reverse(mappedObject) {
+    this.nonInvertible = [];
+    const root = { value: undefined };
+    this._reverseNode(this.mappingPlan.root, mappedObject, { root, base: root });
+    return {
+      result: _.isUndefined(root.value) ? {} : root.value,
+      nonInvertible: _.uniqWith(this.nonInvertible, _.isEqual)
+    };
+  }
+
+  /**
+   * @param scope { root, base, item, parent } holders ({ value }) of the objects that
+   *              the key paths without variable / with variables are written to
+   */
+  _reverseNode(node, mappedValue, scope) {
+    if (_.isUndefined(mappedValue)) {
+      return;
+    }
+    if (node.type === 'object') {
+      if (node.hasDynamicSource) {
+        this._addProblem(node, 'Mappings with a nested _source cannot be inverted');
+        return;
+      }
+      node.keys.forEach((key, index) => {
+        if (_.isObject(mappedValue) && _.has(mappedValue, key)) {
+          this._reverseNode(node.values[index], mappedValue[key], scope);
+        }
+      });
+    } else if (node.type === 'array') {
+      node.items.forEach((item, index) => {
+        if (_.isArray(mappedValue)) this._reverseNode(item, mappedValue[index], scope);
+      });
+    } else if (node.type === 'switch') {
+      this._addProblem(node, 'Mappings with _cases cannot be inverted');
+    } else if (node.type === 'mapping') {
+      this._reverseMapping(node, mappedValue, scope);
+    }
+  }
+
+  _reverseMapping(node, mappedValue, scope) {
+    const problem = ReverseMapper._getProblem(node);
+    if (problem) {
+      this._addProblem(node, problem);
+      return;
+    }
+    let value = mappedValue;
+    try {
+      if (node.transformEach && _.isArray(value)) {
+        value = value.map(element => this._invertFunctions(node.transformEach, element));
+      }
+      if (node.transforms) {
+        value = this._invertFunctions(node.transforms, value);
+      }
+    } catch (error) {
+      this._addProblem(node, error.message);
+      return;
+    }
+    if (node.each) {
+      value = [].concat(value).map(element => {
+        const item = { value: undefined };
+        this._reverseNode(node.each, element, _.assign({}, scope, { item, parent: scope }));
+        return item.value;
+      });
+    }
+    // Without _source, the included mapping is resolved relative to the current source value
+    if (node.include && node.keyPaths.length === 0) {
+      this._reverseNode(node.include, value, scope);
+      return;
+    } else if (node.include) {
+      const base = { value: undefined };
+      this._reverseNode(node.include, value, _.assign({}, scope, { base }));
+      value = base.value;
+    }
+    this._write(node, node.keyPaths[0], value, scope);
+  }
+
+  /**
+   * Calls the inverse functions in reverse order
+   *
+   * @returns the value before the transforms, throws an error if there is no inverse function
+   */
+  _invertFunctions(functionsNode, value) {
+    if (functionsNode.value) {
+      throw new Error('Transforms defined by nested mappings cannot be inverted');
+    }
+    return functionsNode.calls.slice().reverse().reduce((transformedValue, functionNode) => {
+      const functionCall = functionNode.functionCall;
+      if (!functionCall || !ReverseMapper._isStatic(functionNode.parameters)) {
+        throw new Error('Transforms with nested mappings cannot be inverted');
+      } else if (functionCall.prefix.isAt || functionCall.prefix.isInversed) {
+        throw new Error(`Transform ${functionCall.name} with prefix cannot be inverted`);
+      }
+      const name = functionCall.name;
+      const inverse = _.has(this.inverses, name) ? this.inverses[name] : STANDARD_INVERSES[name];
+      if (!_.isFunction(inverse)) {
+        throw new Error(`No inverse function for transform ${name}`);
+      }
+      try {
+        return inverse.apply(this.inverses, [transformedValue].concat(functionCall.parameters));
+      } catch (error) {
+        throw new Error(`Inverse (${name}): ${error.message}`);
+      }
+    }, value);
+  }
+
+  /**
+   * Writes the value to the key path, values of wildcard paths are written position-wise
+   */
+  _write(node, keyPath, value, scope) {
+    const holder = ReverseMapper._getHolder(keyPath.variable, scope);
+    if (!holder) return;
+    const wildcardIndex = _.findIndex(keyPath.segments, segment => segment.type === 'wildcard');
+    const keys = keyPath.segments.map(segment => (segment.type === 'index' ? segment.index
+      : segment.key));
+    if (keyPath.hasWildcard && !ReverseMapper._isPositionWise(keyPath.segments)) {
+      this._addProblem(node, `Source path ${keyPath.keyPath} cannot be inverted`);
+    } else if (keys.some(key => _.isNumber(key) && key < 0)) {
+      this._addProblem(node, `Source path ${keyPath.keyPath} cannot be inverted`);
+    } else if (wildcardIndex >= 0) {
+      [].concat(value).forEach((element, index) => {
+        if (_.isUndefined(element)) return;
+        const elementKeys = keys.slice();
+        elementKeys[wildcardIndex] = index;
+        ReverseMapper._set(holder, elementKeys, element);
+      });
+    } else {
+      ReverseMapper._set(holder, keys, value);
+    }
+  }
+
+  _addProblem(node, message) {
+    this.nonInvertible.push({ path: node.path, message });
+  }
+
+  /**
+   * @returns the reason why the mapping cannot be inverted, null if it can be inverted
+   */
+  static _getProblem(node) {
+    if (node.hasMultipleSources) {
+      return 'Mappings with _sources cannot be inverted';
+    }
+    const directives = {
+      template: '_template',
+      ref: '_ref',
+      lookup: '_lookup',
+      aggregation: '_aggregate',
+      conditions: '_condition'
+    };
+    const directive = _.find(Object.keys(directives), key => node[key]);
+    return directive ? `Mappings with ${directives[directive]} cannot be inverted` : null;
+  }
+
+  /**
+   * Sets a copy of the value, objects are merged with values written by other mappings,
+   * e.g. "items[*].sku" and "items[*].qty"
+   */
+  static _set(holder, keys, value) {
+    const path = ['value'].concat(keys);
+    const currentValue = _.get(holder, path);
+    _.set(holder, path, _.isObject(currentValue) && _.isObject(value)
+      ? _.merge(currentValue, value) : _.cloneDeep(value));
+  }
+
+  /**
+   * @returns true if the compiled node does not contain any mappings
+   */
+  static _isStatic(node) {
+    if (node.type === 'array') {
+      return node.items.every(ReverseMapper._isStatic);
+    } else if (node.type === 'object') {
+      return !node.hasDynamicSource && node.values.every(ReverseMapper._isStatic);
+    }
+    return node.type === 'literal';
+  }
+
+  /**
+   * Only paths with a single wildcard (and keys / indexes) can be written position-wise
+   */
+  static _isPositionWise(segments) {
+    return segments.every(segment => _.includes(['key', 'index', 'wildcard'], segment.type))
+      && segments.filter(segment => segment.type === 'wildcard').length === 1;
+  }
+
+  /**
+   * @returns the holder of the object that the key path is written to, null for $index and
+   *          named sources / variables (e.g. "$tenant"), which are not written
+   */
+  static _getHolder(variable, scope) {
+    if (!variable) {
+      return scope.base;
+    } else if (variable === '$root') {
+      return scope.root;
+    } else if (variable === '$') {
+      return scope.item;
+    } else if (variable === '$parent') {
+      return scope.parent ? scope.parent.item : null;
+    }
+    return null;
+  }
+}
+
+ReverseMapper.STANDARD_INVERSES = Object.keys(STANDARD_INVERSES);
+
+module.exports = ReverseMapper;
@@ -0,0 +1,234 @@
+'use strict';
+
+const _ = require('lodash');
+const KeyPath = require('./key-path');
+
+/**
+ * Converts strings like "/\\s+/" to regular expressions
+ */
+const toRegExp = pattern => {
+  const match = _.isString(pattern) && pattern.match(/^\/(.+)\/([a-z]*)$/);
+  return match ? new RegExp(match[1], match[2]) : pattern;
+};
+
+/**
+ * Built-in transform and condition functions, available in every mapping.
+ * Functions of the same name in the transform source take precedence.
+ */
+const standardLibrary = {
+  // Strings
+
+  /**
+   * Removes whitespace from both ends (chars: optional characters to remove instead)
+   */
+  trim: (value, chars) => _.trim(value, chars),
+
+  trimStart: (value, chars) => _.trimStart(value, chars),
+
+  trimEnd: (value, chars) => _.trimEnd(value, chars),
+
+  toUpperCase: value => String(value).toUpperCase(),
+
+  toLowerCase: value => String(value).toLowerCase(),
+
+  /**
+   * Converts the first character to upper case, e.g. "apple" -> "Apple"
+   */
+  capitalize: value => _.upperFirst(value),
+
+  /**
+   * @param separator string or regular expression string (e.g. "/\\s+/")
+   */
+  split: (value, separator, limit) => String(value).split(toRegExp(separator), limit),
+
+  join: (array, separator) => array.join(_.isUndefined(separator) ? ',' : separator),
+
+  /**
+   * Replaces all occurrences of search
+   */
+  replace: (value, search, replacement) => String(value).split(search).join(replacement),
+
+  /**
+   * Replaces matches of the regular expression pattern, e.g. { replaceRegExp: ['\\d', '#', 'g'] }
+   */
+  replaceRegExp: (value, pattern, replacement, flags) =>
+    String(value).replace(new RegExp(pattern, flags), replacement),
+
+  padStart: (value, length, chars) => _.padStart(value, length, chars),
+
+  padEnd: (value, length, chars) => _.padEnd(value, length, chars),
+
+  /**
+   * @param start index of the first character (negative: counted from the end)
+   * @param length (optional) number of characters
+   */
+  substr: (value, start, length) => {
+    const string = String(value);
+    const startIndex = start < 0 ? Math.max(string.length + start, 0) : start;
+    return string.slice(startIndex, _.isUndefined(length) ? undefined : startIndex + length);
+  },
+
+  append: (value, suffix) => `${value}${suffix}`,
+
+  prepend: (value, prefix) => `${prefix}${value}`,
+
+  // Numbers
+
+  /**
+   * Parses numbers and numeric strings, throws an error for values that are not numeric
+   */
+  parseNumber: value => {
+    const number = _.isString(value) ? Number(value.trim() || NaN) : Number(value);
+    if (!_.isFinite(number) || _.isBoolean(value) || _.isNull(value)) {
+      throw new Error(`${value} is not a number`);
+    }
+    return number;
+  },
+
+  /**
+   * Parses integers, e.g. "42px" -> 42, throws an error for values that are not numeric
+   */
+  parseInteger: (value, radix) => {
+    const number = parseInt(value, radix || 10);
+    if (_.isNaN(number)) {
+      throw new Error(`${value} is not an integer`);
+    }
+    return number;
+  },
+
+  round: (value, precision) => _.round(value, precision),
+
+  /**
+   * @returns string with a fixed number of decimals, e.g. 1.5 -> "1.50"
+   */
+  toFixed: (value, digits) => Number(value).toFixed(digits),
+
+  clamp: (value, min, max) => _.clamp(value, min, max),
+
+  // Dates
+
+  /**
+   * Parses ISO strings, timestamps (milliseconds) and Date objects,
+   * throws an error for invalid dates
+   */
+  parseDate: value => {
+    const date = _.isDate(value) ? new Date(value.getTime()) : new Date(value);
+    if (_.isNil(value) || _.isNaN(date.getTime())) {
+      throw new Error(`${value} is not a valid date`);
+    }
+    return date;
+  },
+
+  /**
+   * Formats a date in UTC, tokens: YYYY, MM, DD, HH, mm, ss, SSS
+   *
+   * @param format (optional) defaults to "YYYY-MM-DD"
+   */
+  formatDate: (value, format) => {
+    const date = standardLibrary.parseDate(value);
+    const tokens = {
+      YYYY: date.getUTCFullYear(),
+      MM: date.getUTCMonth() + 1,
+      DD: date.getUTCDate(),
+      HH: date.getUTCHours(),
+      mm: date.getUTCMinutes(),
+      ss: date.getUTCSeconds(),
+      SSS: date.getUTCMilliseconds()
+    };
+    return (format || 'YYYY-MM-DD').replace(/YYYY|MM|DD|HH|mm|ss|SSS/g, token =>
+      _.padStart(tokens[token], token.length, '0'));
+  },
+
+  /**
+   * @returns ISO string, e.g. "2016-06-01T12:00:00.000Z"
+   */
+  toISOString: value => standardLibrary.parseDate(value).toISOString(),
+
+  /**
+   * @returns milliseconds since 1970-01-01
+   */
+  toTimestamp: value => standardLibrary.parseDate(value).getTime(),
+
+  // Arrays
+
+  first: array => _.head(array),
+
+  last: array => _.last(array),
+
+  /**
+   * @param isDeep flatten recursively (default: one level)
+   */
+  flatten: (array, isDeep) => (isDeep ? _.flattenDeep(array) : _.flatten(array)),
+
+  unique: array => _.uniqWith(array, _.isEqual),
+
+  /**
+   * @param keyPath (optional) sorts objects by the value at the key path
+   * @param order (optional) "asc" (default) or "desc"
+   */
+  sort: (array, keyPath, order) => {
+    const parsedKeyPath = keyPath ? new KeyPath(keyPath) : null;
+    const iteratee = parsedKeyPath ? element => parsedKeyPath.resolve(element) : _.identity;
+    return _.orderBy(array, [iteratee], [order || 'asc']);
+  },
+
+  /**
+   * Returns the value at the key path for every element, e.g. "name" or "address.city"
+   */
+  pluck: (array, keyPath) => {
+    const parsedKeyPath = new KeyPath(keyPath);
+    return array.map(element => parsedKeyPath.resolve(element));
+  },
+
+  /**
+   * Creates an array of objects from an object of arrays,
+   * e.g. { name: ['a', 'b'], id: [1, 2] } -> [{ name: 'a', id: 1 }, { name: 'b', id: 2 }]
+   */
+  zipToObjects: object => {
+    const length = _.max(_.map(object, array => [].concat(array).length)) || 0;
+    return _.times(length, index => _.mapValues(object, array => [].concat(array)[index]));
+  },
+
+  // Logic (conditions)
+
+  /**
+   * Deep equality, e.g. { equals: [{ a: 1 }] }
+   */
+  equals: (value, other) => _.isEqual(value, other),
+
+  /**
+   * Checks if the value is one of the given values, e.g. { in: [['apple', 'banana']] }
+   */
+  in: (value, values) => _.some(values, other => _.isEqual(value, other)),
+
+  /**
+   * Checks if the value is neither undefined nor null
+   */
+  exists: value => !_.isNil(value),
+
+  /**
+   * Tests the value against a regular expression, e.g. { matches: ['^\\d+$'] }
+   */
+  matches: (value, pattern, flags) => new RegExp(pattern, flags).test(value),
+
+  isString: value => _.isString(value),
+
+  isNumber: value => _.isNumber(value) && !_.isNaN(value),
+
+  isBoolean: value => _.isBoolean(value),
+
+  isArray: value => _.isArray(value),
+
+  /**
+   * Checks for plain objects (no arrays or dates)
+   */
+  isObject: value => _.isPlainObject(value),
+
+  /**
+   * Checks for undefined, null, empty strings, arrays and objects
+   */
+  isEmpty: value => _.isNil(value) || (!_.isNumber(value) && !_.isBoolean(value)
+    && _.isEmpty(value))
+};
+
+module.exports = standardLibrary;
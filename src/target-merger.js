@@ -0,0 +1,79 @@
+'use strict';
+
+const _ = require('lodash');
+
+// Merge strategies by name: (targetValue, mappedValue) => merged value
+const STRATEGIES = {
+  overwrite: (targetValue, value) => value,
+  skipUndefined: (targetValue, value) => (_.isUndefined(value) ? targetValue : value),
+  keep: (targetValue, value) => (_.isUndefined(targetValue) ? value : targetValue),
+  // Plain objects are merged deeply (mapped values win), other values are overwritten
+  merge: (targetValue, value) => {
+    if (_.isUndefined(value)) {
+      return targetValue;
+    } else if (!_.isPlainObject(targetValue) || !_.isPlainObject(value)) {
+      return value;
+    }
+    return _.mergeWith({}, targetValue, value, (targetChild, child) =>
+      (_.isPlainObject(targetChild) && _.isPlainObject(child) ? undefined : child));
+  },
+  append: (targetValue, value) => {
+    if (_.isUndefined(value)) {
+      return targetValue;
+    }
+    return (_.isUndefined(targetValue) ? [] : [].concat(targetValue)).concat(value);
+  },
+  union: (targetValue, value) => _.uniqWith(STRATEGIES.append(targetValue, value), _.isEqual)
+};
+
+/**
+ * Merges mapped values into an existing target object, see JsonMapper.mapInto.
+ * Objects of the mapping are merged key by key, the values of their keys are merged with the
+ * _merge strategy of the mapping (or the default strategy).
+ */
+class TargetMerger {
+  /**
+   * @param defaultStrategy (optional) strategy for mappings without _merge, "overwrite" by default
+   */
+  constructor(defaultStrategy) {
+    this.defaultStrategy = defaultStrategy || 'overwrite';
+    TargetMerger.checkStrategy(this.defaultStrategy);
+  }
+
+  /**
+   * Merges the mapped value into the target value, the target is changed in place
+   *
+   * @param node MappingPlan node of the mapped value
+   * @returns merged value (the target value if it is an object that was merged)
+   */
+  merge(targetValue, mappedValue, node) {
+    if (node.type === 'object' && !node.merge && _.isPlainObject(mappedValue)) {
+      const targetObject = _.isPlainObject(targetValue) ? targetValue : {};
+      const changes = {};
+      node.keys.forEach((key, index) => {
+        if (!_.has(mappedValue, key)) return;
+        const mergedValue = this.merge(targetObject[key], mappedValue[key], node.values[index]);
+        // Undefined values are not added to the target
+        if (!_.isUndefined(mergedValue) || _.has(targetObject, key)) {
+          changes[key] = mergedValue;
+        }
+      });
+      return _.assign(targetObject, changes);
+    }
+    return STRATEGIES[node.merge || this.defaultStrategy](targetValue, mappedValue);
+  }
+
+  /**
+   * Throws an error for unknown strategies
+   */
+  static checkStrategy(strategy) {
+    if (!_.has(STRATEGIES, strategy)) {
+      throw new Error(`Unknown merge strategy ${strategy}, expected ${
+        TargetMerger.STRATEGIES.join(', ')}`);
+    }
+  }
+}
+
+TargetMerger.STRATEGIES = Object.keys(STRATEGIES);
+
+module.exports = TargetMerger;
@@ -0,0 +1,134 @@
+'use strict';
+
+const _ = require('lodash');
+const KeyPath = require('./key-path');
+
+/**
+ * String template of the _template directive that is parsed once and rendered repeatedly.
+ *
+ * Syntax:
+ * - "Hello {{user.name}}" placeholders with source paths (same syntax as _source)
+ * - "{{price | toFixed(2) | prepend(\"$\")}}" transforms per placeholder,
+ *   parameters are JSON values
+ * - "\\{{" literal braces, "\\\\" a literal backslash
+ */
+class Template {
+  constructor(template) {
+    this.template = template;
+    // List of { text } and { placeholder, keyPath, transforms } parts
+    this.parts = Template._parse(template);
+    this.keyPaths = this.parts.filter(part => part.keyPath).map(part => part.keyPath);
+  }
+
+  /**
+   * Converts a placeholder value to text, array elements are joined with ", "
+   */
+  static toText(value) {
+    if (_.isArray(value)) {
+      return _.reject(value, _.isNil).map(Template.toText).join(', ');
+    } else if (_.isPlainObject(value)) {
+      return JSON.stringify(value);
+    }
+    return String(value);
+  }
+
+  static _parse(template) {
+    const parts = [];
+    let text = '';
+    let position = 0;
+    while (position < template.length) {
+      const character = template[position];
+      if (character === '\\' && /[{}\\]/.test(template[position + 1] || '')) {
+        text += template[position + 1];
+        position += 2;
+      } else if (template.substr(position, 2) === '{{') {
+        const end = template.indexOf('}}', position + 2);
+        if (end < 0) {
+          throw Template._error(template, `missing "}}" after position ${position}`);
+        }
+        if (text) {
+          parts.push({ text });
+          text = '';
+        }
+        parts.push(Template._parsePlaceholder(template, template.slice(position, end + 2)));
+        position = end + 2;
+      } else {
+        text += character;
+        position += 1;
+      }
+    }
+    if (text) {
+      parts.push({ text });
+    }
+    return parts;
+  }
+
+  /**
+   * Parses "{{keyPath | function(parameters) | ...}}"
+   */
+  static _parsePlaceholder(template, placeholder) {
+    const expressions = Template._splitPipes(placeholder.slice(2, -2)).map(_.trim);
+    if (!expressions[0]) {
+      throw Template._error(template, `missing source path in ${placeholder}`);
+    }
+    return {
+      placeholder,
+      keyPath: new KeyPath(expressions[0]),
+      transforms: expressions.slice(1).map(expression =>
+        Template._parseFunction(template, expression))
+    };
+  }
+
+  /**
+   * Splits at "|" outside of quotes, brackets and parentheses
+   */
+  static _splitPipes(expression) {
+    const expressions = [''];
+    let quote = null;
+    let depth = 0;
+    for (let position = 0; position < expression.length; position += 1) {
+      let character = expression[position];
+      if (quote && character === '\\') {
+        position += 1;
+        character += expression[position] || '';
+      } else if (quote) {
+        quote = character === quote ? null : quote;
+      } else if (character === '\'' || character === '"') {
+        quote = character;
+      } else if (character === '[' || character === '(') {
+        depth += 1;
+      } else if (character === ']' || character === ')') {
+        depth -= 1;
+      }
+      if (character === '|' && !quote && depth === 0) {
+        expressions.push('');
+      } else {
+        expressions[expressions.length - 1] += character;
+      }
+    }
+    return expressions;
+  }
+
+  /**
+   * Parses "name" or "name(parameters)" into a function object, e.g. { toFixed: [2] }
+   */
+  static _parseFunction(template, expression) {
+    const match = expression.match(/^([!@]*[\w$]+)\s*(?:\((.*)\))?$/);
+    if (!match) {
+      throw Template._error(template, `invalid transform ${expression}`);
+    }
+    let parameters;
+    try {
+      parameters = match[2] ? JSON.parse(`[${match[2]}]`) : [];
+    } catch (error) {
+      throw Template._error(template, `invalid parameters of ${match[1]}: ${error.message}`);
+    }
+    return { [match[1]]: parameters };
+  }
+
+  static _error(template, message) {
+    return new Error(`Invalid template "${template}": ${message}`);
+  }
+}
+
+module.exports = Template;
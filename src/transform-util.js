@@ -1,10 +1,80 @@
 'use strict';
 
 const _ = require('lodash');
+const standardLibrary = require('./standard-library');
+
+// Marks a failed transform chain, undefined can be a valid intermediate result
+const FAILED = Symbol('failed');
+
+// Condition combinators, e.g. { _any: [{ isEqual: [1] }, { isEqual: [2] }] }
+const COMBINATORS = {
+  _any: results => results.some(result => result === true),
+  _all: results => results.every(result => result === true),
+  _not: results => !results.every(result => result === true)
+};
+
+/**
+ * Function object (e.g. { '!isEqual': [1] }) with parsed prefixes and resolved function
+ */
+class FunctionCall {
+  constructor(name, prefix, fn, parameters) {
+    this.name = name;
+    this.prefix = prefix;
+    this.fn = fn;
+    this.parameters = parameters;
+  }
+
+  withParameters(parameters) {
+    return new FunctionCall(this.name, this.prefix, this.fn, parameters);
+  }
+}
 
 class TransformUtil {
-  constructor(transformSource) {
+  /**
+   * @param transformSource Source for transform and conditional functions
+   * @param options (optional) {
+   *   safe: only resolve own function properties of the transform source (no inherited
+   *         members like "constructor" or "toString"),
+   *   allowedFunctions: (optional) names of the only functions that can be called
+   * }
+   */
+  constructor(transformSource, options) {
     this.transformSource = transformSource;
+    this.isSafe = Boolean(options && (options.safe || options.allowedFunctions));
+    this.allowedFunctions = options && options.allowedFunctions
+      ? new Set(options.allowedFunctions) : null;
+  }
+
+  /**
+   * Parses the given function object once, so it can be run repeatedly
+   *
+   * @param functionObject function object, e.g. { '!@isEqual': [1, 2] }
+   * @returns FunctionCall that can be passed instead of the function object
+   */
+  createFunctionCall(functionObject) {
+    // Syntax: { functionName: ['param1', 'param2'] }
+    const name = Object.keys(functionObject)[0];
+    const prefix = TransformUtil._checkFunctionPrefix(name);
+    const fn = this.resolveFunction(prefix.functionNameWithoutPrefix);
+    return new FunctionCall(name, prefix, fn, functionObject[name]);
+  }
+
+  /**
+   * Functions of the transform source take precedence over the built-in standard library
+   *
+   * @param name function name without prefixes
+   * @returns function, undefined if not defined (or not allowed in safe mode)
+   */
+  resolveFunction(name) {
+    if (this.allowedFunctions && !this.allowedFunctions.has(name)) {
+      return undefined;
+    }
+    const isDefined = this.transformSource && (!this.isSafe || _.has(this.transformSource, name));
+    const fn = isDefined ? this.transformSource[name] : undefined;
+    if (!_.isFunction(fn) && _.has(standardLibrary, name)) {
+      return standardLibrary[name];
+    }
+    return fn;
   }
 
   /**
@@ -12,65 +82,174 @@ class TransformUtil {
    *
    * @param sources value(s) passed to the condition functions (_source)
    * @param conditionFunctionObjects condition function object(s), e.g.
-   *                                 [{ alwaysTrue: [] }, { someCondition: [1, 2] }]
-   * @returns true if ALL conditions are met
+   *                                 [{ alwaysTrue: [] }, { someCondition: [1, 2] }],
+   *                                 can contain combinators: { _any / _all / _not: [...] }
+   * @param context (optional) see _tryFunction
+   * @returns true if ALL conditions are met (a Promise for async contexts)
    */
-  checkCondition(sources, conditionFunctionObjects) {
-    return [].concat(conditionFunctionObjects).map(conditionFunctionObject => {
-      // Syntax: { functionName: ['param1', 'param2'] }
-      const conditionFunctionName = Object.keys(conditionFunctionObject)[0];
-      try {
-        return this._runFunction(conditionFunctionObject, sources);
-      } catch (error) {
-        console.warn(`Condition (${conditionFunctionName}): ${error.message}`);
-        return false;
+  checkCondition(sources, conditionFunctionObjects, context) {
+    return this._combineConditions(sources, conditionFunctionObjects, '_all', context || {});
+  }
+
+  _combineConditions(sources, conditionFunctionObjects, combinator, context) {
+    const conditionResults = [].concat(conditionFunctionObjects).map(conditionFunctionObject => {
+      const nestedCombinator = TransformUtil.getCombinator(conditionFunctionObject);
+      if (nestedCombinator) {
+        return this._combineConditions(sources, conditionFunctionObject[nestedCombinator],
+          nestedCombinator, context);
       }
-    }).every(conditionResult => conditionResult === true);
+      return this._tryFunction(conditionFunctionObject, sources, 'condition', context);
+    });
+    const combine = COMBINATORS[combinator];
+    return context.isAsync ? Promise.all(conditionResults).then(combine)
+      : combine(conditionResults);
   }
 
   /**
    * Transforms given value using the passed transform function objects
+   *
+   * @param context (optional) see _tryFunction
+   * @returns transformed value (a Promise for async contexts)
    */
-  transformValue(value, transformFunctionObjects) {
+  transformValue(value, transformFunctionObjects, context) {
+    const functionContext = context || {};
+    const transformFunctions = [].concat(transformFunctionObjects);
+    // On any error, undefined is returned (this causes the default value to be used)
+    const toResult = transformedValue => (transformedValue === FAILED ? undefined
+      : transformedValue);
+    if (functionContext.isAsync) {
+      return transformFunctions.reduce((promise, transformFunctionObject) => promise.then(
+        transformedValue => (transformedValue === FAILED ? FAILED : this._tryFunction(
+          transformFunctionObject, transformedValue, 'transform', functionContext))),
+        Promise.resolve(value)).then(toResult);
+    }
     let transformedValue = value;
-    try {
-      [].concat(transformFunctionObjects).forEach(transformFunctionObject => {
-        // Syntax: { functionName: ['param1', 'param2'] }
-        const transformFunctionName = Object.keys(transformFunctionObject)[0];
-        try {
-          transformedValue = this._runFunction(transformFunctionObject, transformedValue);
-        } catch (transformError) {
-          throw new Error(`Transform (${transformFunctionName}): ${transformError.message}`);
-        }
-      });
-    } catch (error) {
-      console.warn(error.message);
-      // On any error, undefined is returned (this causes the default value to be used)
-      transformedValue = undefined;
+    transformFunctions.some(transformFunctionObject => {
+      transformedValue = this._tryFunction(transformFunctionObject, transformedValue,
+        'transform', functionContext);
+      return transformedValue === FAILED;
+    });
+    return toResult(transformedValue);
+  }
+
+  /**
+   * Runs the function and reports errors
+   *
+   * @param context {
+   *   onError: called with error details instead of printing a warning,
+   *   isAsync: await Promises returned by functions,
+   *   schedule: (async only) runs a task (() => Promise), e.g. to limit concurrency,
+   *   trace: called for every function call with
+   *          { type, functionName, parameters, input, output, error },
+   *   onCall: called before every function call
+   * }
+   * @returns function result, false for failed conditions, FAILED for failed transforms
+   */
+  _tryFunction(functionObject, inputValue, type, context) {
+    const traceCall = (output, error) => {
+      if (_.isFunction(context.trace)) {
+        context.trace({
+          type,
+          functionName: TransformUtil._getFunctionName(functionObject),
+          parameters: TransformUtil._getParameters(functionObject),
+          input: inputValue,
+          output: output === FAILED ? undefined : output,
+          error: error ? error.message : undefined
+        });
+      }
+      return output;
+    };
+    const handleError = error => {
+      TransformUtil._reportError(type, functionObject, error, context.onError);
+      return traceCall(type === 'condition' ? false : FAILED, error);
+    };
+    // Errors of onCall (e.g. exceeded limits) are not handled, they end the mapping
+    if (_.isFunction(context.onCall)) {
+      context.onCall();
     }
-    return transformedValue;
+    if (!context.isAsync) {
+      let result;
+      try {
+        result = this._runFunction(functionObject, inputValue);
+      } catch (error) {
+        return handleError(error);
+      }
+      return traceCall(result);
+    }
+    const schedule = context.schedule || (task => task());
+    return new Promise(resolve => resolve(schedule(() => this._runFunction(functionObject,
+      inputValue, true)))).then(result => traceCall(result), handleError);
   }
 
   /**
-   * Runs the given transform function object
+   * Runs the given transform function object (or FunctionCall)
+   *
+   * @param isAsync wait for returned Promises before inverting boolean results
    */
-  _runFunction(functionObject, inputValue) {
-    // Syntax: { functionName: ['param1', 'param2'] }
-    let functionName = Object.keys(functionObject)[0];
-    const parameters = functionObject[functionName];
-    const prefix = TransformUtil._checkFunctionPrefix(functionName);
-    functionName = prefix.functionNameWithoutPrefix;
+  _runFunction(functionObject, inputValue, isAsync) {
+    const functionCall = functionObject instanceof FunctionCall ? functionObject
+      : this.createFunctionCall(functionObject);
+    const prefix = functionCall.prefix;
+    if (!_.isFunction(functionCall.fn)) {
+      throw new Error(`Unknown function ${prefix.functionNameWithoutPrefix}`);
+    }
     // Transform functions are called with the transform source as their context
     // parameters: (previousTransformValue, param1, param2, ...)
     // @ causes the first parameter to be left out: (param1, param2)
-    const allParameters = [inputValue].concat(parameters);
-    const transformedValue = this.transformSource[functionName].apply(this.transformSource,
+    const allParameters = [inputValue].concat(functionCall.parameters);
+    const transformedValue = functionCall.fn.apply(this.transformSource,
       prefix.isAt ? _.slice(allParameters, 1) : allParameters);
     // Inverse only applies when booleans are returned
-    const shouldInverseTransformedValue = prefix.isInversed && _.isBoolean(transformedValue);
-    return shouldInverseTransformedValue ? !transformedValue : transformedValue;
+    const inverse = result => (prefix.isInversed && _.isBoolean(result) ? !result : result);
+    return isAsync ? Promise.resolve(transformedValue).then(inverse) : inverse(transformedValue);
   }
 
+  /**
+   * Passes the details of a failed condition / transform to onError, or prints a warning
+   */
+  static _reportError(type, functionObject, error, onError) {
+    const functionName = TransformUtil._getFunctionName(functionObject);
+    const label = type === 'condition' ? 'Condition' : 'Transform';
+    const errorDetails = {
+      type,
+      functionName,
+      parameters: TransformUtil._getParameters(functionObject),
+      error,
+      message: `${label} (${functionName}): ${error.message}`
+    };
+    if (_.isFunction(onError)) {
+      onError(errorDetails);
+    } else {
+      console.warn(errorDetails.message);
+    }
+  }
+
+  /**
+   * @returns combinator of a function object like { _any: [...] }, null for functions
+   */
+  static getCombinator(functionObject) {
+    if (!_.isPlainObject(functionObject)) {
+      return null;
+    }
+    const keys = Object.keys(functionObject);
+    return keys.length === 1 && _.has(COMBINATORS, keys[0]) ? keys[0] : null;
+  }
+
+  static _getParameters(functionObject) {
+    if (functionObject instanceof FunctionCall) {
+      return functionObject.parameters;
+    }
+    return _.isObject(functionObject)
+      ? functionObject[TransformUtil._getFunctionName(functionObject)] : undefined;
+  }
+
+  static _getFunctionName(functionObject) {
+    if (functionObject instanceof FunctionCall) {
+      return functionObject.name;
+    }
+    // Syntax: { functionName: ['param1', 'param2'] }
+    return _.isObject(functionObject) ? Object.keys(functionObject)[0] : String(functionObject);
+  }
 
   /**
    * "@function" can be used to override the first parameter of a transform function / condition
@@ -95,4 +274,6 @@ class TransformUtil {
   }
 }
 
+TransformUtil.COMBINATORS = Object.keys(COMBINATORS);
+
 module.exports = TransformUtil;
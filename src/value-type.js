@@ -0,0 +1,113 @@
+'use strict';
+
+const _ = require('lodash');
+const standardLibrary = require('./standard-library');
+
+// Result of conversions that are not possible
+const INVALID = Symbol('invalid');
+
+const BOOLEANS = { true: true, false: false, 1: true, 0: false };
+
+const toNumber = value => {
+  if (_.isNumber(value)) {
+    return _.isFinite(value) ? value : INVALID;
+  }
+  const number = _.isString(value) && value.trim() ? Number(value) : NaN;
+  return _.isFinite(number) ? number : INVALID;
+};
+
+// Conversions by type name
+const CONVERSIONS = {
+  string: value => {
+    if (_.isDate(value)) {
+      return standardLibrary.toISOString(value);
+    }
+    return _.isObject(value) ? INVALID : String(value);
+  },
+  number: toNumber,
+  integer: value => {
+    const number = toNumber(value);
+    return _.isInteger(number) ? number : INVALID;
+  },
+  // Booleans, "true" / "false" / "1" / "0" (case-insensitive), 1 and 0
+  boolean: value => {
+    const key = _.isString(value) ? value.trim().toLowerCase() : value;
+    if (_.isBoolean(value)) {
+      return value;
+    }
+    return (_.isString(value) || value === 1 || value === 0) && _.has(BOOLEANS, key)
+      ? BOOLEANS[key] : INVALID;
+  },
+  // ISO string of dates, timestamps and date strings, e.g. "2016-06-01T12:00:00.000Z"
+  date: value => {
+    const date = _.isString(value) || _.isNumber(value) || _.isDate(value) ? new Date(value)
+      : null;
+    return date && _.isFinite(date.getTime()) ? date.toISOString() : INVALID;
+  },
+  array: value => [].concat(value),
+  object: value => (_.isPlainObject(value) ? value : INVALID)
+};
+
+// JSON Schemas of the converted values by type name, see toSchema()
+const SCHEMAS = {
+  string: { type: 'string' },
+  number: { type: 'number' },
+  integer: { type: 'integer' },
+  boolean: { type: 'boolean' },
+  date: { type: 'string', format: 'date-time' },
+  array: { type: 'array' },
+  object: { type: 'object' }
+};
+
+/**
+ * Output type of the _type directive, e.g. "number" or "string[]" (array of strings)
+ */
+class ValueType {
+  constructor(type) {
+    const match = _.isString(type) ? type.match(/^(\w+)(\[\])?$/) : null;
+    if (!match || !_.has(CONVERSIONS, match[1])) {
+      throw new Error(`Unknown type ${type}, expected ${ValueType.NAMES.join(', ')} `
+        + '(or an array type like "number[]")');
+    }
+    this.type = type;
+    this.elementType = match[2] ? match[1] : null;
+  }
+
+  /**
+   * @returns the converted value, undefined and null are kept,
+   *          throws an error if the value cannot be converted
+   */
+  coerce(value) {
+    if (_.isNil(value)) {
+      return value;
+    } else if (!this.elementType) {
+      return ValueType._convert(value, this.type);
+    }
+    return [].concat(value).map((element, index) => (_.isNil(element) ? element
+      : ValueType._convert(element, this.elementType, ` (index ${index})`)));
+  }
+
+  /**
+   * @returns JSON Schema of the converted values, e.g. { type: 'array', items: { type: 'number' } }
+   */
+  toSchema() {
+    if (!this.elementType) {
+      return _.clone(SCHEMAS[this.type]);
+    }
+    return { type: 'array', items: _.clone(SCHEMAS[this.elementType]) };
+  }
+
+  static _convert(value, type, location) {
+    const convertedValue = CONVERSIONS[type](value);
+    if (convertedValue === INVALID) {
+      const text = _.isString(value) || _.isPlainObject(value) || _.isArray(value)
+        ? JSON.stringify(value) : String(value);
+      throw new Error(`${text} cannot be converted to ${type}${location || ''}`);
+    }
+    return convertedValue;
+  }
+}
+
+ValueType.NAMES = Object.keys(CONVERSIONS);
+
+module.exports = ValueType;
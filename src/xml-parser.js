@@ -0,0 +1,193 @@
+'use strict';
+
+const _ = require('lodash');
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// Values converted by the parseValues option
+const LITERALS = { true: true, false: false };
+
+/**
+ * Parses XML into plain objects with the following convention, see the xml input adapter:
+ *
+ * - The result has the root element as only key, e.g. { order: {...} }
+ * - Elements without attributes and child elements are their text, e.g. <id>1</id> -> id: '1'
+ * - Attributes are keys with "@" prefix, e.g. <order id="1"> -> { '@id': '1' }
+ * - The text of elements with attributes / child elements is the key "#text"
+ * - Repeated child elements are arrays, single ones are not (unless listed in the arrays option)
+ *
+ * Text is trimmed, whitespace-only text, comments, processing instructions and the doctype
+ * are left out. CDATA sections are text, entities and character references are decoded.
+ */
+class XmlParser {
+  /**
+   * @param options (optional) {
+   *   arrays: names of the elements that are always arrays, e.g. ['item'],
+   *   parseValues: convert numeric strings, "true" and "false" of texts and attributes
+   * }
+   */
+  constructor(options) {
+    this.options = options || {};
+    this.arrays = new Set(this.options.arrays);
+  }
+
+  /**
+   * @returns object with the root element, throws an error for invalid XML
+   */
+  parse(content) {
+    this.content = String(content);
+    this.index = 0;
+    this._skipMisc();
+    if (this.content[this.index] !== '<') {
+      this._fail('expected root element');
+    }
+    const root = this._parseElement();
+    this._skipMisc();
+    if (this.index < this.content.length) {
+      this._fail('unexpected content after root element');
+    }
+    return { [root.name]: root.value };
+  }
+
+  /**
+   * @returns { name, value } of the element at the current position
+   */
+  _parseElement() {
+    const match = this._match(/<([^\s/>]+)/y);
+    const name = match[1];
+    const attributes = {};
+    let hasAttributes = false;
+    let attributeMatch = this._match(/\s*([^\s=/>]+)\s*=\s*("[^"]*"|'[^']*')/y, true);
+    while (attributeMatch) {
+      attributes[`@${attributeMatch[1]}`] = this._convert(this._decode(attributeMatch[2].slice(1,
+        -1)));
+      hasAttributes = true;
+      attributeMatch = this._match(/\s*([^\s=/>]+)\s*=\s*("[^"]*"|'[^']*')/y, true);
+    }
+    if (this._match(/\s*\/>/y, true)) {
+      return { name, value: hasAttributes ? attributes : '' };
+    }
+    this._match(/\s*>/y);
+    const children = [];
+    let text = '';
+    while (!this._match(/<\//y, true)) {
+      if (this.index >= this.content.length) {
+        this._fail(`missing closing tag of <${name}>`);
+      } else if (this.content.startsWith('<![CDATA[', this.index)) {
+        text += this._readUntil(']]>', 9);
+      } else if (this.content.startsWith('<!--', this.index) || this.content.startsWith('<?',
+        this.index)) {
+        this._skipMisc();
+      } else if (this.content[this.index] === '<') {
+        children.push(this._parseElement());
+      } else {
+        const end = this.content.indexOf('<', this.index);
+        text += this._decode(this.content.slice(this.index, end < 0 ? undefined : end));
+        this.index = end < 0 ? this.content.length : end;
+      }
+    }
+    const closingName = this._match(/([^\s>]+)\s*>/y)[1];
+    if (closingName !== name) {
+      this._fail(`expected </${name}>, got </${closingName}>`);
+    }
+    return { name, value: this._createValue(attributes, children, text.trim(), hasAttributes) };
+  }
+
+  _createValue(attributes, children, text, hasAttributes) {
+    if (!hasAttributes && children.length === 0) {
+      return this._convert(text);
+    }
+    const element = _.clone(attributes);
+    children.forEach(child => {
+      const isRepeated = _.has(element, child.name);
+      const value = isRepeated ? [].concat(element[child.name], [child.value]) : child.value;
+      // Defined as own property, so that element names like "__proto__" are plain keys
+      Object.defineProperty(element, child.name, {
+        value: !isRepeated && this.arrays.has(child.name) ? [value] : value,
+        enumerable: true,
+        writable: true,
+        configurable: true
+      });
+    });
+    if (text) {
+      element['#text'] = this._convert(text);
+    }
+    return element;
+  }
+
+  /**
+   * Skips whitespace, comments, processing instructions and doctype
+   */
+  _skipMisc() {
+    let isSkipped = true;
+    while (isSkipped) {
+      this._match(/\s*/y);
+      if (this.content.startsWith('<!--', this.index)) {
+        this._readUntil('-->', 4);
+      } else if (this.content.startsWith('<?', this.index)) {
+        this._readUntil('?>', 2);
+      } else if (this.content.startsWith('<!DOCTYPE', this.index)) {
+        this._match(/<!DOCTYPE[^[>]*(\[[^\]]*\])?\s*>/y);
+      } else {
+        isSkipped = false;
+      }
+    }
+  }
+
+  /**
+   * @returns text from the current position (plus offset) until the end marker, which is skipped
+   */
+  _readUntil(endMarker, offset) {
+    const end = this.content.indexOf(endMarker, this.index + offset);
+    if (end < 0) {
+      this._fail(`missing ${endMarker}`);
+    }
+    const text = this.content.slice(this.index + offset, end);
+    this.index = end + endMarker.length;
+    return text;
+  }
+
+  /**
+   * Matches the sticky regular expression at the current position and skips the match
+   *
+   * @param isOptional return null if it does not match instead of throwing an error
+   */
+  _match(regExp, isOptional) {
+    const stickyRegExp = regExp;
+    stickyRegExp.lastIndex = this.index;
+    const match = stickyRegExp.exec(this.content);
+    if (!match && !isOptional) {
+      this._fail('invalid syntax');
+    } else if (match) {
+      this.index += match[0].length;
+    }
+    return match;
+  }
+
+  _decode(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (reference, name) => {
+      if (name[0] === '#') {
+        const isHex = name[1] === 'x' || name[1] === 'X';
+        return String.fromCodePoint(parseInt(name.slice(isHex ? 2 : 1), isHex ? 16 : 10));
+      }
+      return _.has(ENTITIES, name) ? ENTITIES[name] : reference;
+    });
+  }
+
+  _convert(text) {
+    if (!this.options.parseValues) {
+      return text;
+    } else if (_.has(LITERALS, text)) {
+      return LITERALS[text];
+    }
+    const number = text.trim() ? Number(text) : NaN;
+    return _.isFinite(number) ? number : text;
+  }
+
+  _fail(message) {
+    const line = this.content.slice(0, this.index).split('\n').length;
+    throw new Error(`Invalid XML in line ${line}: ${message}`);
+  }
+}
+
+module.exports = XmlParser;
@@ -0,0 +1,54 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const Aggregation = require('../src/aggregation');
+
+const aggregate = (definition, values) => new Aggregation(definition).apply(values);
+
+describe('Aggregation', function () {
+  it('should aggregate numbers', function () {
+    expect(aggregate('sum', [1, 2.5, undefined, null])).to.equal(3.5);
+    expect(aggregate('avg', [1, 2, undefined])).to.equal(1.5);
+    expect(aggregate('min', [3, 1, 2])).to.equal(1);
+    expect(aggregate('max', 3)).to.equal(3);
+    expect(aggregate('sum', undefined)).to.equal(0);
+    expect(aggregate('avg', [])).to.equal(undefined);
+    expect(aggregate('max', [null])).to.equal(undefined);
+  });
+
+  it('should throw errors for values that are not numbers', function () {
+    expect(() => aggregate('sum', [1, '2'])).to.throw('"2" is not a number');
+    expect(() => aggregate('avg', [1, NaN])).to.throw('NaN is not a number');
+    expect(() => aggregate('min', [{ a: 1 }])).to.throw('{"a":1} is not a number');
+  });
+
+  it('should count and deduplicate values', function () {
+    expect(aggregate('count', [1, 'a', undefined, null, {}])).to.equal(3);
+    expect(aggregate('count', undefined)).to.equal(0);
+    expect(aggregate('distinct', ['a', { b: 1 }, 'a', { b: 1 }, null])).to.deep.equal([
+      'a', { b: 1 }]);
+  });
+
+  it('should group values by key path', function () {
+    const orders = [
+      { id: 1, status: 'paid' },
+      { id: 2, status: 'open' },
+      { id: 3, status: 'paid' },
+      { id: 4 }
+    ];
+    expect(aggregate({ groupBy: 'status' }, orders)).to.deep.equal({
+      paid: [orders[0], orders[2]],
+      open: [orders[1]]
+    });
+    expect(aggregate({ countBy: 'status' }, orders)).to.deep.equal({ paid: 2, open: 1 });
+    expect(aggregate({ countBy: 'status' }, undefined)).to.deep.equal({});
+  });
+
+  it('should throw errors for invalid aggregations', function () {
+    expect(() => new Aggregation('total')).to.throw('Unknown aggregation total');
+    expect(() => new Aggregation({ sortBy: 'a' })).to.throw('Invalid aggregation {"sortBy":"a"}');
+    expect(() => new Aggregation({ groupBy: 'a[' })).to.throw('Invalid key path "a["');
+  });
+});
@@ -0,0 +1,188 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+
+const cli = require('../src/cli');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'map-json-'));
+const writeFile = (name, content) => {
+  const file = path.join(directory, name);
+  fs.writeFileSync(file, content);
+  return file;
+};
+
+const jsonMapping = writeFile('mapping.json', JSON.stringify({
+  name: { _source: 'user.name', _transform: { toUpperCase: [] } }
+}));
+const moduleMapping = writeFile('mapping.js', `module.exports = {
+  mapping: { id: { _source: 'id', _transform: { double: [] } } },
+  transforms: { double: value => value * 2 }
+};`);
+
+/**
+ * Runs the command with the given stdin content
+ *
+ * @returns Promise for { exitCode, stdout, stderr }
+ */
+const run = (args, stdinContent) => {
+  const output = { stdout: '', stderr: '' };
+  const createOutputStream = name => new stream.Writable({
+    write: (chunk, encoding, callback) => {
+      output[name] += chunk.toString();
+      callback();
+    }
+  });
+  const stdin = new stream.PassThrough();
+  stdin.end(stdinContent || '');
+  return cli.run(args, {
+    stdin,
+    stdout: createOutputStream('stdout'),
+    stderr: createOutputStream('stderr')
+  }).then(exitCode => ({ exitCode, stdout: output.stdout, stderr: output.stderr }));
+};
+
+describe('cli', function () {
+  after(function () {
+    fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)));
+    fs.rmdirSync(directory);
+  });
+
+  it('should map JSON from stdin with a JSON mapping', function () {
+    return run([jsonMapping], '{ "user": { "name": "max" } }').then(result => {
+      expect(result.exitCode).to.equal(0);
+      expect(result.stdout).to.equal('{\n  "name": "MAX"\n}\n');
+    });
+  });
+
+  it('should map JSON arrays element-wise with a JS mapping module', function () {
+    const input = writeFile('input.json', '[{ "id": 1 }, { "id": 2 }]');
+    return run([moduleMapping, input, '--compact']).then(result => {
+      expect(result.exitCode).to.equal(0);
+      expect(result.stdout).to.equal('[{"id":2},{"id":4}]\n');
+    });
+  });
+
+  it('should map NDJSON line by line', function () {
+    const input = writeFile('input.ndjson', '{ "id": 1 }\n\n{ "id": 2 }\n');
+    return run([moduleMapping, input]).then(result => {
+      expect(result.exitCode).to.equal(0);
+      expect(result.stdout).to.equal('{"id":2}\n{"id":4}\n');
+    })
+      .then(() => run([moduleMapping, '-', '-n'], '{ "id": 3 }'))
+      .then(result => {
+        expect(result.stdout).to.equal('{"id":6}\n');
+      });
+  });
+
+  it('should map CSV rows and XML documents', function () {
+    const csvMapping = writeFile('csv-mapping.js', `module.exports = {
+  mapping: { id: { _source: 'id' }, name: { _source: 'name' } },
+  inputOptions: { types: { id: 'integer' } }
+};`);
+    const xmlMapping = writeFile('xml-mapping.json', JSON.stringify({
+      id: { _source: 'order.@id' },
+      skus: { _source: 'order.item[*].@sku' }
+    }));
+    const input = writeFile('input.csv', 'id,name\n1,Apple\n2,"Pear, green"\n');
+    return run([csvMapping, input, '-c']).then(result => {
+      expect(result.exitCode).to.equal(0);
+      expect(result.stdout).to.equal('[{"id":1,"name":"Apple"},{"id":2,"name":"Pear, green"}]\n');
+    })
+      .then(() => run([xmlMapping, '--format', 'xml', '-c'],
+        '<order id="7"><item sku="a"/><item sku="b"/></order>'))
+      .then(result => {
+        expect(result.exitCode).to.equal(0);
+        expect(result.stdout).to.equal('{"id":"7","skus":["a","b"]}\n');
+      });
+  });
+
+  it('should use input adapters of the mapping module', function () {
+    const mapping = writeFile('adapter-mapping.js', `module.exports = {
+  mapping: { key: { _source: 'key' }, value: { _source: 'value' } },
+  adapters: {
+    properties: {
+      extensions: ['.properties'],
+      parse: content => content.trim().split('\\n').map(line => {
+        const parts = line.split('=');
+        return { key: parts[0], value: parts[1] };
+      })
+    }
+  }
+};`);
+    const input = writeFile('input.properties', 'a=1\nb=2\n');
+    return run([mapping, input, '-n']).then(result => {
+      expect(result.exitCode).to.equal(0);
+      expect(result.stdout).to.equal('{"key":"a","value":"1"}\n{"key":"b","value":"2"}\n');
+    });
+  });
+
+  it('should exit with 1 for invalid CSV / XML input and unknown formats', function () {
+    return run([jsonMapping, '-f', 'xml'], '<user>').then(result => {
+      expect(result.exitCode).to.equal(1);
+      expect(result.stderr).to.contain('Invalid XML in line 1: missing closing tag of <user>');
+    })
+      .then(() => run([jsonMapping, '-f', 'yaml'], 'user: max'))
+      .then(result => {
+        expect(result.exitCode).to.equal(1);
+        expect(result.stderr).to.contain('Unknown input format yaml');
+      })
+      .then(() => run([jsonMapping, '-f']))
+      .then(result => {
+        expect(result.exitCode).to.equal(1);
+        expect(result.stderr).to.contain('Missing value of option -f');
+      });
+  });
+
+  it('should exit with 1 for invalid input', function () {
+    return run([jsonMapping, '--ndjson'], '{}\n{ "user": ').then(result => {
+      expect(result.exitCode).to.equal(1);
+      expect(result.stdout).to.equal('');
+      expect(result.stderr).to.contain('Invalid JSON in line 2');
+    });
+  });
+
+  it('should exit with 1 when mapping fails', function () {
+    const mapping = writeFile('failing.json', JSON.stringify({
+      id: { _source: 'id', _transform: { parseNumber: [] } }
+    }));
+    return run([mapping], '[{ "id": "1" }, { "id": "x" }]').then(result => {
+      expect(result.exitCode).to.equal(1);
+      expect(result.stdout).to.equal('');
+      expect(result.stderr).to.contain('Record 2: Mapping failed with 1 error(s)');
+      expect(result.stderr).to.contain('id: Transform (parseNumber): x is not a number');
+    });
+  });
+
+  it('should exit with 1 for invalid mappings and missing files', function () {
+    const mapping = writeFile('invalid.json', JSON.stringify({
+      id: { _source: 'id', _sourse: 1 }
+    }));
+    return run([mapping], '{}').then(result => {
+      expect(result.exitCode).to.equal(1);
+      expect(result.stderr).to.contain('id._sourse: Unknown directive _sourse');
+    })
+      .then(() => run([path.join(directory, 'notDefined.json')], '{}'))
+      .then(result => {
+        expect(result.exitCode).to.equal(1);
+        expect(result.stderr).to.contain('Cannot read');
+      });
+  });
+
+  it('should print usage for invalid arguments', function () {
+    return run(['--unknown']).then(result => {
+      expect(result.exitCode).to.equal(1);
+      expect(result.stderr).to.contain('Unknown option --unknown');
+      expect(result.stderr).to.contain('Usage: map-json');
+    })
+      .then(() => run(['--help']))
+      .then(result => {
+        expect(result.exitCode).to.equal(0);
+        expect(result.stdout).to.contain('Usage: map-json');
+      });
+  });
+});
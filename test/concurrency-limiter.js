@@ -0,0 +1,43 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const ConcurrencyLimiter = require('../src/concurrency-limiter');
+
+describe('ConcurrencyLimiter', function () {
+  it('should throw error for invalid concurrency', function () {
+    expect(() => new ConcurrencyLimiter(0)).to.throw(Error);
+  });
+
+  it('should run tasks in order with limited concurrency', function () {
+    const concurrencyLimiter = new ConcurrencyLimiter(1);
+    const events = [];
+    const createTask = name => () => {
+      events.push(`start ${name}`);
+      return new Promise(resolve => setTimeout(() => {
+        events.push(`end ${name}`);
+        resolve(name);
+      }, 5));
+    };
+    return Promise.all([
+      concurrencyLimiter.run(createTask('a')),
+      concurrencyLimiter.run(createTask('b'))
+    ]).then(results => {
+      expect(results).to.deep.equal(['a', 'b']);
+      expect(events).to.deep.equal(['start a', 'end a', 'start b', 'end b']);
+    });
+  });
+
+  it('should reject with task errors and continue with the next task', function () {
+    const concurrencyLimiter = new ConcurrencyLimiter(1);
+    const failingTask = concurrencyLimiter.run(() => {
+      throw new Error('forced fail');
+    });
+    const nextTask = concurrencyLimiter.run(() => 'next');
+    return Promise.all([
+      failingTask.then(() => 'resolved', error => error.message),
+      nextTask
+    ]).then(results => expect(results).to.deep.equal(['forced fail', 'next']));
+  });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const CsvParser = require('../src/csv-parser');
+
+const parse = (content, options) => new CsvParser(options).parse(content);
+
+describe('CsvParser', function () {
+  it('should parse records by header row', function () {
+    expect(parse('id,name\n1,Apple\r\n2,Pear\n\n')).to.deep.equal([
+      { id: '1', name: 'Apple' },
+      { id: '2', name: 'Pear' }
+    ]);
+    expect(parse('\uFEFFid;name\n1;Apple', { delimiter: ';' })).to.deep.equal([
+      { id: '1', name: 'Apple' }
+    ]);
+    expect(parse('id,name\n1')).to.deep.equal([{ id: '1' }]);
+    expect(parse('')).to.deep.equal([]);
+  });
+
+  it('should parse quoted fields', function () {
+    expect(parse('a,b,c\n"x, ""y""","line\nbreak",""\nz,1,2')).to.deep.equal([
+      { a: 'x, "y"', b: 'line\nbreak', c: '' },
+      { a: 'z', b: '1', c: '2' }
+    ]);
+  });
+
+  it('should parse records without header row', function () {
+    expect(parse('1,Apple\n2,Pear', { header: false })).to.deep.equal([
+      ['1', 'Apple'],
+      ['2', 'Pear']
+    ]);
+    expect(parse('1,Apple', { columns: ['id', 'name'] })).to.deep.equal([
+      { id: '1', name: 'Apple' }
+    ]);
+  });
+
+  it('should convert typed columns and values', function () {
+    const content = 'id,price,active,note\n1,1.5,true,007\n2,,0,null';
+    expect(parse(content, { types: { id: 'integer', price: 'number', active: 'boolean' } }))
+      .to.deep.equal([
+        { id: 1, price: 1.5, active: true, note: '007' },
+        { id: 2, price: null, active: false, note: 'null' }
+      ]);
+    expect(parse(content, { parseValues: true, types: { note: 'string' } })).to.deep.equal([
+      { id: 1, price: 1.5, active: true, note: '007' },
+      { id: 2, price: '', active: 0, note: 'null' }
+    ]);
+  });
+
+  it('should throw errors for invalid CSV', function () {
+    expect(() => parse('a\n"x')).to.throw('Invalid CSV in line 2: unterminated quoted field');
+    expect(() => parse('a\n"x"y')).to.throw(
+      'Invalid CSV in line 2: unexpected character after quoted field');
+    expect(() => parse('a\n1\n1,2')).to.throw('Invalid CSV in line 3: expected 1 fields, got 2');
+    expect(() => parse('a\nx', { types: { a: 'number' } })).to.throw(
+      'Invalid CSV in line 2, column a: "x" cannot be converted to number');
+    expect(() => new CsvParser({ delimiter: '"' })).to.throw('CSV delimiter must be');
+  });
+});
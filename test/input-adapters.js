@@ -0,0 +1,36 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const inputAdapters = require('../src/input-adapters');
+
+describe('inputAdapters', function () {
+  it('should parse CSV, TSV and XML', function () {
+    expect(inputAdapters.parse('a,b\n1,2', 'csv', { types: { a: 'number' } })).to.deep.equal([
+      { a: 1, b: '2' }
+    ]);
+    expect(inputAdapters.parse('a\tb\n1\t2', 'tsv')).to.deep.equal([{ a: '1', b: '2' }]);
+    expect(inputAdapters.parse('<a>1</a>', 'xml')).to.deep.equal({ a: '1' });
+  });
+
+  it('should find formats by file extension', function () {
+    expect(inputAdapters.findFormat('data/export.CSV')).to.equal('csv');
+    expect(inputAdapters.findFormat('feed.xml')).to.equal('xml');
+    expect(inputAdapters.findFormat('data.json')).to.equal(undefined);
+  });
+
+  it('should register adapters', function () {
+    inputAdapters.register('lines', {
+      extensions: ['.lines'],
+      parse: (content, options) => content.split(options.separator || '\n')
+    });
+    expect(inputAdapters.parse('a|b', 'lines', { separator: '|' })).to.deep.equal(['a', 'b']);
+    expect(inputAdapters.findFormat('list.lines')).to.equal('lines');
+    expect(() => inputAdapters.register('', { parse: () => null })).to.throw(
+      'Input format must be a non-empty string');
+    expect(() => inputAdapters.register('yaml', {})).to.throw(
+      'Input adapter must have a parse(content, options) function');
+    expect(() => inputAdapters.parse('', 'yaml')).to.throw('Unknown input format yaml');
+  });
+});
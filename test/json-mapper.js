@@ -2,6 +2,7 @@
 
 const chai = require('chai');
 const expect = chai.expect;
+const _ = require('lodash');
 
 const testSource = require('./test-source');
 const JsonMapper = require('../src/json-mapper');
@@ -328,4 +329,1302 @@ describe('JsonMapper', function () {
     expect(JsonMapper.map(testSource, mapping, transformSource).target).to.deep.equal(
       'defaultValue');
   });
+
+  it('should return diagnostics for failed transforms and conditions', function () {
+    const mapping = {
+      target: {
+        nested: {
+          _source: 'simpleKey',
+          _transform: [{ addX: [] }, { fail: ['param'] }],
+          _default: 'defaultValue'
+        }
+      },
+      conditional: {
+        _source: ['simpleKey', 'notDefined'],
+        _condition: { '!fail': [] }
+      }
+    };
+    const mapped = JsonMapper.map(testSource, mapping, transformSource, { diagnostics: true });
+    expect(mapped.result).to.deep.equal({
+      target: { nested: 'defaultValue' },
+      conditional: undefined
+    });
+    expect(mapped.diagnostics).to.have.length(2);
+    expect(mapped.diagnostics[0]).to.include({
+      path: 'target.nested',
+      source: 'simpleKey',
+      type: 'transform',
+      functionName: 'fail',
+      message: 'Transform (fail): forced fail'
+    });
+    expect(mapped.diagnostics[0].parameters).to.deep.equal(['param']);
+    expect(mapped.diagnostics[0].error.message).to.equal('forced fail');
+    expect(mapped.diagnostics[1]).to.include({
+      path: 'conditional',
+      type: 'condition',
+      functionName: '!fail',
+      message: 'Condition (!fail): forced fail'
+    });
+    expect(mapped.diagnostics[1].source).to.deep.equal(['simpleKey', 'notDefined']);
+  });
+
+  it('should report diagnostics of nested parameter mappings', function () {
+    const mapping = {
+      target: {
+        _source: 'simpleKey',
+        _transform: { add: [{ _source: 'simpleKey', _transform: { fail: [] } }, 'y'] }
+      }
+    };
+    const mapped = JsonMapper.map(testSource, mapping, transformSource, { diagnostics: true });
+    expect(mapped.result.target).to.equal('simpleundefinedy');
+    expect(mapped.diagnostics[0].path).to.equal('target._transform.add[0]');
+  });
+
+  it('should report diagnostics inside of _each with the output path of the element', function () {
+    const mapping = {
+      out: {
+        _source: 'groups',
+        _each: {
+          items: {
+            _source: '$.values',
+            _each: { n: { _source: '$.v', _type: 'number' } }
+          }
+        }
+      }
+    };
+    const source = { groups: [{ values: [{ v: 1 }] }, { values: [{ v: 2 }, { v: 'x' }] }] };
+    const mapped = JsonMapper.map(source, mapping, { diagnostics: true });
+    expect(mapped.diagnostics).to.have.length(1);
+    expect(mapped.diagnostics[0]).to.include({
+      path: 'out[1].items[1].n',
+      source: '$.v',
+      type: 'type'
+    });
+  });
+
+  it('should pass diagnostics and source object to onError', function () {
+    const mapping = { target: { _source: 'simpleKey', _transform: { fail: [] } } };
+    const errors = [];
+    const onError = (diagnostic, sourceObject) => errors.push({ diagnostic, sourceObject });
+    expect(JsonMapper.map(testSource, mapping, transformSource, { onError }))
+      .to.deep.equal({ target: undefined });
+    expect(errors).to.have.length(1);
+    expect(errors[0].diagnostic.path).to.equal('target');
+    expect(errors[0].sourceObject).to.equal(testSource);
+  });
+
+  it('should throw aggregated error in strict mode', function () {
+    const mapping = {
+      target1: { _source: 'simpleKey', _transform: { fail: [] } },
+      target2: { _source: 'simpleKey', _condition: { fail: [] } },
+      target3: { _source: 'simpleKey', _transform: { addX: [] } }
+    };
+    let mappingError;
+    try {
+      JsonMapper.map(testSource, mapping, transformSource, { strict: true });
+    } catch (error) {
+      mappingError = error;
+    }
+    expect(mappingError).to.be.an.instanceof(JsonMapper.MappingError);
+    expect(mappingError.message).to.equal('Mapping failed with 2 error(s):\n' +
+      '  target1: Transform (fail): forced fail\n' +
+      '  target2: Condition (fail): forced fail');
+    expect(mappingError.diagnostics).to.have.length(2);
+  });
+
+  it('should not throw in strict mode when all values are mapped', function () {
+    const mapping = { target: { _source: 'simpleKey', _transform: { addX: [] } } };
+    expect(JsonMapper.map(testSource, mapping, transformSource, { strict: true }))
+      .to.deep.equal({ target: 'simplex' });
+  });
+
+  it('should map each array element with relative source paths', function () {
+    const source = {
+      prefix: 'fruit',
+      fruits: [{ name: 'Apple', id: 1 }, { id: 2 }]
+    };
+    const mapping = {
+      fruits: {
+        _source: 'fruits',
+        _each: {
+          name: { _source: '$.name', _default: 'unknown' },
+          id: { _source: '$.id', _transform: { add: ['-', { _source: '$index' }] } },
+          prefix: { _source: 'prefix' },
+          rootPrefix: { _source: '$root.prefix' },
+          literal: true
+        }
+      }
+    };
+    expect(JsonMapper.map(source, mapping, transformSource).fruits).to.deep.equal([
+      { name: 'Apple', id: '1-0', prefix: 'fruit', rootPrefix: 'fruit', literal: true },
+      { name: 'unknown', id: '2-1', prefix: 'fruit', rootPrefix: 'fruit', literal: true }
+    ]);
+  });
+
+  it('should map nested arrays with _each', function () {
+    const source = {
+      orders: [
+        { id: 1, items: [{ sku: 'a' }, { sku: 'b' }] },
+        { id: 2, items: [{ sku: 'c' }] }
+      ]
+    };
+    const mapping = {
+      orders: {
+        _source: 'orders',
+        _each: {
+          items: {
+            _source: '$.items',
+            _each: {
+              sku: { _source: '$.sku' },
+              orderId: { _source: '$parent.id' },
+              position: { _source: '$index' }
+            }
+          }
+        }
+      }
+    };
+    expect(JsonMapper.map(source, mapping).orders).to.deep.equal([
+      { items: [{ sku: 'a', orderId: 1, position: 0 }, { sku: 'b', orderId: 1, position: 1 }] },
+      { items: [{ sku: 'c', orderId: 2, position: 0 }] }
+    ]);
+  });
+
+  it('should map each element with a single mapping and transforms', function () {
+    const mapping = {
+      target: {
+        _source: 'key1.array',
+        _each: { _source: '$.number', _transform: { addX: [] } },
+        _transform: { isEqual: [{ _source: 'simpleKey' }] }
+      },
+      single: {
+        _source: 'key2.object',
+        _each: { _source: '$' }
+      }
+    };
+    const mapped = JsonMapper.map(testSource, mapping, transformSource);
+    expect(mapped.target).to.equal(false);
+    expect(mapped.single).to.deep.equal([{ number: 4 }]);
+  });
+
+  it('should use default value when _each source is undefined', function () {
+    const mapping = {
+      target: {
+        _source: 'notDefined',
+        _each: { _source: '$.number' },
+        _default: []
+      }
+    };
+    expect(JsonMapper.map(testSource, mapping).target).to.deep.equal([]);
+  });
+
+  it('should resolve variables outside of _each to undefined', function () {
+    const mapping = { target: { _source: '$.simpleKey' }, root: { _source: '$root.simpleKey' } };
+    expect(JsonMapper.map(testSource, mapping)).to.deep.equal({
+      target: undefined,
+      root: 'simple'
+    });
+  });
+
+  it('should map with filters, negative indexes and escaped keys', function () {
+    const source = {
+      headers: { 'content.type': 'json' },
+      orders: [{ id: 1, status: 'paid' }, { id: 2, status: 'open' }, { id: 3, status: 'paid' }]
+    };
+    const mapping = {
+      paidOrders: { _source: "orders[?status=='paid'].id" },
+      lastOrder: { _sources: ['orders[-1].id', "headers['content.type']"] },
+      contentType: {
+        _source: 'headers.content\\.type',
+        _transform: { add: [{ _source: 'orders[0].id' }, { _source: '..status' }] }
+      }
+    };
+    expect(JsonMapper.map(source, mapping, transformSource)).to.deep.equal({
+      paidOrders: [1, 3],
+      lastOrder: [3, 'json'],
+      contentType: 'json1paid,open,paid'
+    });
+  });
+
+  it('should accept an options object instead of the transform source', function () {
+    const mapping = { target: { _source: 'simpleKey', _transform: { addX: [] } } };
+    const options = { transforms: transformSource, preProcess: value => `${value}!` };
+    expect(JsonMapper.map(testSource, mapping, options)).to.deep.equal({ target: 'simple!x' });
+    expect(JsonMapper.compile(mapping, options)(testSource)).to.deep.equal({
+      target: 'simple!x'
+    });
+  });
+
+  it('should post-process mapped values after transforms and defaults', function () {
+    const mapping = {
+      transformed: { _source: 'simpleKey', _transform: { addX: [] } },
+      defaulted: { _source: 'notDefined', _default: 'default' },
+      list: [{ _source: 'simpleKey' }]
+    };
+    const postProcess = value => (_.isString(value) ? value.toUpperCase() : value);
+    expect(JsonMapper.map(testSource, mapping, { transforms: transformSource, postProcess }))
+      .to.deep.equal({ transformed: 'SIMPLEX', defaulted: 'DEFAULT', list: ['SIMPLE'] });
+  });
+
+  it('should omit undefined and null values', function () {
+    const source = { a: 1, empty: null, items: [{ id: 1 }, { id: null }, {}] };
+    const mapping = {
+      a: { _source: 'a' },
+      missing: { _source: 'notDefined' },
+      empty: { _source: 'empty' },
+      nested: { missing: { _source: 'notDefined' } },
+      list: [{ _source: 'a' }, { _source: 'notDefined' }],
+      ids: { _source: 'items', _each: { _source: '$.id' } }
+    };
+    expect(JsonMapper.map(source, mapping, { omitUndefined: true })).to.deep.equal({
+      a: 1,
+      empty: null,
+      nested: {},
+      list: [1, undefined],
+      ids: [1, null, undefined]
+    });
+    expect(JsonMapper.map(source, mapping, { omitUndefined: true, omitNull: true,
+      compactArrays: true })).to.deep.equal({ a: 1, nested: {}, list: [1], ids: [1] });
+  });
+
+  it('should use the defaultValue option for mappings without _default', function () {
+    const mapping = {
+      missing: { _source: 'notDefined' },
+      defaulted: { _source: 'notDefined', _default: 'default' }
+    };
+    expect(JsonMapper.map(testSource, mapping, { defaultValue: null })).to.deep.equal({
+      missing: null,
+      defaulted: 'default'
+    });
+  });
+
+  it('should include named mappings relative to the source path', function () {
+    const source = {
+      billing: { street: 'Main St', zip: '123' },
+      shipping: { street: 'Side St', zip: '456', country: 'DE' },
+      people: [{ name: 'a', address: { street: 'First St' } }],
+      country: 'US'
+    };
+    const mappings = {
+      address: {
+        street: { _source: 'street', _transform: { toUpperCase: [] } },
+        zip: { _source: 'zip' },
+        country: { _source: '$root.country' }
+      }
+    };
+    const mapping = {
+      billing: { _include: 'address', _source: 'billing' },
+      // Keys next to _include override or extend the included mapping
+      shipping: {
+        _include: 'address',
+        _source: 'shipping',
+        country: { _source: 'country' },
+        isShipping: true
+      },
+      people: {
+        _source: 'people',
+        _each: {
+          name: { _source: '$.name' },
+          address: { _include: 'address', _source: '$.address' }
+        }
+      },
+      missing: { _include: 'address', _source: 'notDefined', _default: 'none' },
+      root: { _include: 'address' }
+    };
+    expect(JsonMapper.map(source, mapping, { mappings })).to.deep.equal({
+      billing: { street: 'MAIN ST', zip: '123', country: 'US' },
+      shipping: { street: 'SIDE ST', zip: '456', country: 'DE', isShipping: true },
+      people: [{ name: 'a', address: { street: 'FIRST ST', zip: undefined, country: 'US' } }],
+      missing: 'none',
+      root: { street: undefined, zip: undefined, country: 'US' }
+    });
+  });
+
+  it('should include registered mappings', function () {
+    JsonMapper.registerMapping('registeredPrice', {
+      amount: { _source: 'value' },
+      currency: 'EUR'
+    });
+    const mapping = { price: { _include: 'registeredPrice', _source: 'price' } };
+    expect(JsonMapper.map({ price: { value: 5 } }, mapping)).to.deep.equal({
+      price: { amount: 5, currency: 'EUR' }
+    });
+    // Mappings of the mappings option take precedence
+    const mappings = { registeredPrice: { amount: { _source: 'value' } } };
+    expect(JsonMapper.map({ price: { value: 5 } }, mapping, { mappings })).to.deep.equal({
+      price: { amount: 5 }
+    });
+    expect(() => JsonMapper.registerMapping('', {})).to.throw(Error);
+  });
+
+  it('should throw error for unknown and circular includes', function () {
+    const mappings = { a: { b: { _include: 'b' } }, b: { a: { _include: 'a' } } };
+    expect(() => JsonMapper.map({}, { x: { _include: 'a' } }, { mappings })).to.throw(
+      'Circular include: a -> b -> a');
+    expect(() => JsonMapper.map({}, { x: { _include: 'c' } }, { mappings })).to.throw(
+      'Unknown mapping "c" included at x');
+  });
+
+  it('should map the first case of _switch whose condition is met', function () {
+    const mapping = {
+      size: {
+        _switch: 'price',
+        _cases: [
+          { _condition: { '@isEqual': [{ _source: 'type' }, 'free'] }, _value: 'none' },
+          { _condition: { _any: [{ isEqual: [1] }, { isEqual: [2] }] }, _value: 'small' },
+          { _condition: { _not: { isEqual: [3] } }, _value: { _source: 'type' } }
+        ],
+        _default: 'unknown'
+      }
+    };
+    const mapSize = source => JsonMapper.map(source, mapping, transformSource).size;
+    expect(mapSize({ price: 1, type: 'free' })).to.equal('none');
+    expect(mapSize({ price: 2 })).to.equal('small');
+    expect(mapSize({ price: 4, type: 'large' })).to.equal('large');
+    expect(mapSize({ price: 3 })).to.equal('unknown');
+  });
+
+  it('should combine conditions with _any, _all and _not', function () {
+    const mapping = {
+      any: { _source: 'a', _condition: { _any: [{ returnFalse: [] }, { isEqual: [1] }] } },
+      all: { _source: 'a', _condition: { _all: [{ returnTrue: [] }, { returnFalse: [] }] } },
+      nested: {
+        _source: 'a',
+        _condition: [
+          { _not: [{ returnTrue: [] }, { returnFalse: [] }] },
+          { _any: [{ _all: [{ returnTrue: [] }] }, { '@isEqual': [{ _source: 'b' }, 2] }] }
+        ]
+      }
+    };
+    expect(JsonMapper.map({ a: 1, b: 2 }, mapping, transformSource)).to.deep.equal({
+      any: 1,
+      all: undefined,
+      nested: 1
+    });
+  });
+
+  it('should use the current source object for _switch without source', function () {
+    const mapping = {
+      nested: {
+        _include: 'status',
+        _source: 'order'
+      }
+    };
+    const mappings = {
+      status: {
+        _cases: [
+          { _condition: { '@exists': [{ _source: 'paidAt' }] }, _value: 'paid' },
+          { _value: 'open' }
+        ]
+      }
+    };
+    expect(JsonMapper.map({ order: { paidAt: 1 } }, mapping, { mappings })).to.deep.equal({
+      nested: 'paid'
+    });
+    expect(JsonMapper.map({ order: {} }, mapping, { mappings })).to.deep.equal({
+      nested: 'open'
+    });
+  });
+
+  it('should still support transform source and preprocess function arguments', function () {
+    const mapping = { target: { _source: 'simpleKey', _transform: { addX: [] } } };
+    expect(JsonMapper.map(testSource, mapping, transformSource, value => `${value}!`))
+      .to.deep.equal({ target: 'simple!x' });
+    expect(JsonMapper.map(testSource, mapping, transformSource, { omitUndefined: true }))
+      .to.deep.equal({ target: 'simplex' });
+  });
+
+  it('should not treat transform functions named like options as options', function () {
+    const mapping = { target: { _source: 'simpleKey', _transform: { addX: [] } } };
+    const transforms = _.assign({ merge: (a, b) => a + b, strict: () => true }, transformSource);
+    expect(JsonMapper.map(testSource, mapping, transforms)).to.deep.equal({ target: 'simplex' });
+    expect(JsonMapper.compile(mapping, transforms)(testSource)).to.deep.equal({
+      target: 'simplex'
+    });
+    expect(JsonMapper.map(testSource, mapping, { transforms, strict: true })).to.deep.equal({
+      target: 'simplex'
+    });
+  });
+
+  it('should report undefined sources of _required mappings', function () {
+    const mapping = {
+      name: { _source: 'user.name', _required: true },
+      ids: { _sources: ['user.id', 'user.otherId'], _required: true, _default: 0 },
+      optional: { _source: 'user.notDefined' }
+    };
+    const source = { user: { id: 1 } };
+    const output = JsonMapper.map(source, mapping, { diagnostics: true });
+    expect(output.result).to.deep.equal({
+      name: undefined,
+      ids: [1, undefined],
+      optional: undefined
+    });
+    expect(output.diagnostics).to.deep.equal([
+      {
+        path: 'name',
+        source: 'user.name',
+        type: 'required',
+        keyPath: 'user.name',
+        message: 'Required source user.name is undefined'
+      },
+      {
+        path: 'ids',
+        source: ['user.id', 'user.otherId'],
+        type: 'required',
+        keyPath: 'user.otherId',
+        message: 'Required source user.otherId is undefined'
+      }
+    ]);
+    expect(() => JsonMapper.map(source, mapping, { strict: true })).to.throw(
+      'name: Required source user.name is undefined');
+  });
+
+  it('should report source fields that are not referenced by the mapping', function () {
+    const source = {
+      user: { name: 'a', email: 'b', address: { city: 'c', zip: 'd' } },
+      orders: [{ id: 1, note: 'x', lines: [{ sku: 'a', qty: 1 }] }, { id: 2, lines: [] }],
+      tags: ['a'],
+      meta: { version: 1 }
+    };
+    const mapping = {
+      name: { _source: 'user.name' },
+      address: { _source: 'user.address', _transform: { toString: [] } },
+      orders: {
+        _source: 'orders',
+        _each: { id: { _source: '$.id' }, skus: { _source: '$.lines[*].sku' } }
+      },
+      root: { _source: '$root.tags' }
+    };
+    expect(JsonMapper.map(source, mapping, { unreferenced: true }).unreferenced).to.deep.equal([
+      'user.email',
+      'orders[*].note',
+      'orders[*].lines[*].qty',
+      'orders[*].lines',
+      'meta.version'
+    ]);
+  });
+
+  it('should treat _each elements that are mapped as a whole as referenced', function () {
+    const mapping = {
+      tags: { _source: 'tags', _each: { _source: '$', _transform: { toUpperCase: [] } } },
+      groups: {
+        _source: 'groups',
+        _each: {
+          _source: '$.items',
+          _each: { value: { _source: '$' }, group: { _source: '$parent' } }
+        }
+      }
+    };
+    const source = { tags: ['a', 'b'], groups: [{ items: [1, 2] }], other: 1 };
+    const output = JsonMapper.map(source, mapping, { unreferenced: true });
+    expect(output.result.tags).to.deep.equal(['A', 'B']);
+    expect(output.unreferenced).to.deep.equal(['other']);
+  });
+
+  it('should interpolate _template placeholders', function () {
+    const source = {
+      user: { firstName: 'John', lastName: 'Doe', email: 'john@example.com' },
+      orders: [{ id: 1, total: 9.5 }, { id: 2, total: 20 }]
+    };
+    const mapping = {
+      contact: { _template: '{{user.firstName}} {{user.lastName | toUpperCase}} <{{user.email}}>' },
+      orders: { _template: 'Orders: {{orders[*].id}}, first: {{orders.0.total | toFixed(2)}}' },
+      escaped: { _template: '\\{{user.firstName}} is {{user.firstName}}' },
+      lines: {
+        _source: 'orders',
+        _each: { _template: '{{$index}}. #{{$.id}}', _transform: { append: ['.'] } }
+      }
+    };
+    expect(JsonMapper.map(source, mapping)).to.deep.equal({
+      contact: 'John DOE <john@example.com>',
+      orders: 'Orders: 1, 2, first: 9.50',
+      escaped: '{{user.firstName}} is John',
+      lines: ['0. #1.', '1. #2.']
+    });
+  });
+
+  it('should handle missing _template values as configured by _missing', function () {
+    const mapping = {
+      empty: { _template: 'Hello {{name}}!' },
+      keep: { _template: 'Hello {{ name }}!', _missing: 'keep' },
+      default: { _template: 'Hello {{name}}!', _missing: 'default', _default: 'Hello!' },
+      found: { _template: 'Hello {{id}}!', _missing: 'default', _default: 'Hello!' }
+    };
+    expect(JsonMapper.map({ name: null, id: 1 }, mapping)).to.deep.equal({
+      empty: 'Hello !',
+      keep: 'Hello {{ name }}!',
+      default: 'Hello!',
+      found: 'Hello 1!'
+    });
+  });
+
+  it('should report failing _template transforms', function () {
+    const mapping = { greeting: { _template: 'Hi {{name | fail}}' } };
+    const output = JsonMapper.map({ name: 'a' }, mapping, {
+      transforms: { fail: () => { throw new Error('failed'); } },
+      diagnostics: true
+    });
+    expect(output.result).to.deep.equal({ greeting: 'Hi ' });
+    expect(output.diagnostics[0]).to.include({
+      path: 'greeting',
+      source: 'Hi {{name | fail}}',
+      message: 'Transform (fail): failed'
+    });
+  });
+
+  it('should aggregate source values with _aggregate', function () {
+    const source = {
+      orders: [
+        { id: 1, total: 10, status: 'paid' },
+        { id: 2, total: 5.5, status: 'open' },
+        { id: 3, status: 'paid' }
+      ],
+      refunds: [{ total: 2 }]
+    };
+    const mapping = {
+      total: { _source: 'orders[*].total', _aggregate: 'sum' },
+      average: { _source: 'orders[*].total', _aggregate: 'avg', _transform: { round: [1] } },
+      count: { _source: 'orders[*].total', _aggregate: 'count' },
+      max: { _sources: ['orders[*].total', 'refunds[*].total'], _aggregate: 'max' },
+      statuses: { _source: 'orders[*].status', _aggregate: 'distinct' },
+      byStatus: { _source: 'orders', _aggregate: { countBy: 'status' } },
+      missing: { _source: 'notDefined[*].total', _aggregate: 'avg', _default: 0 }
+    };
+    expect(JsonMapper.map(source, mapping)).to.deep.equal({
+      total: 15.5,
+      average: 7.8,
+      count: 2,
+      max: 10,
+      statuses: ['paid', 'open'],
+      byStatus: { paid: 2, open: 1 },
+      missing: 0
+    });
+  });
+
+  it('should report aggregations of values that are not numbers', function () {
+    const mapping = { total: { _source: 'prices', _aggregate: 'sum', _default: 0 } };
+    const output = JsonMapper.map({ prices: [1, '2'] }, mapping, { diagnostics: true });
+    expect(output.result).to.deep.equal({ total: 0 });
+    expect(output.diagnostics[0]).to.include({
+      path: 'total',
+      type: 'aggregate',
+      aggregation: 'sum',
+      message: 'Aggregation (sum): "2" is not a number'
+    });
+  });
+
+  it('should convert mapped values to _type after transforms', function () {
+    const source = {
+      id: '42',
+      price: '9.90',
+      active: 'true',
+      created: 0,
+      tags: 'a',
+      codes: ['1']
+    };
+    const mapping = {
+      id: { _source: 'id', _type: 'integer' },
+      price: { _source: 'price', _transform: { replace: ['.', ','] }, _type: 'string' },
+      active: { _source: 'active', _type: 'boolean' },
+      created: { _source: 'created', _type: 'date' },
+      tags: { _source: 'tags', _type: 'array' },
+      codes: { _source: 'codes', _type: 'number[]' },
+      missing: { _source: 'notDefined', _type: 'number' }
+    };
+    expect(JsonMapper.map(source, mapping)).to.deep.equal({
+      id: 42,
+      price: '9,90',
+      active: true,
+      created: '1970-01-01T00:00:00.000Z',
+      tags: ['a'],
+      codes: [1],
+      missing: undefined
+    });
+  });
+
+  it('should report values that cannot be converted to _type', function () {
+    const mapping = { amount: { _source: 'amount', _type: 'number', _default: 0 } };
+    const output = JsonMapper.map({ amount: 'abc' }, mapping, { diagnostics: true });
+    expect(output.result).to.deep.equal({ amount: 0 });
+    expect(output.diagnostics[0]).to.include({
+      path: 'amount',
+      type: 'type',
+      valueType: 'number',
+      message: 'Type (number): "abc" cannot be converted to number'
+    });
+    expect(() => JsonMapper.map({ amount: 'abc' }, mapping, { strict: true })).to.throw(
+      'amount: Type (number): "abc" cannot be converted to number');
+  });
+
+  it('should look up values in other collections of the source with _lookup', function () {
+    const source = {
+      orders: [
+        { id: 1, customerId: 10, skus: ['a', 'b'] },
+        { id: 2, customerId: '11', skus: ['c'] },
+        { id: 3, customerId: 12 }
+      ],
+      customers: [{ id: 10, name: 'Ann' }, { id: 11, name: 'Bob' }],
+      products: { apple: { sku: 'a', price: 1 }, banana: { sku: 'b', price: 2.5 } }
+    };
+    const mapping = {
+      customerNames: {
+        _source: 'orders[*].customerId',
+        _lookup: { from: 'customers', select: 'name' }
+      },
+      orders: {
+        _source: 'orders',
+        _each: {
+          id: { _source: '$.id' },
+          customer: {
+            _source: '$.customerId',
+            _lookup: { from: 'customers', key: 'id', select: 'name' },
+            _default: 'unknown'
+          },
+          total: {
+            _source: '$.skus',
+            _lookup: { from: 'products', key: 'sku', select: 'price' },
+            _aggregate: 'sum'
+          }
+        }
+      }
+    };
+    expect(JsonMapper.map(source, mapping)).to.deep.equal({
+      customerNames: ['Ann', 'Bob', undefined],
+      orders: [
+        { id: 1, customer: 'Ann', total: 3.5 },
+        { id: 2, customer: 'Bob', total: 0 },
+        { id: 3, customer: 'unknown', total: 0 }
+      ]
+    });
+  });
+
+  it('should look up values in lookup tables and index collections only once', function () {
+    const countries = [{ code: 'DE', name: 'Germany' }, { code: 'FR', name: 'France' }];
+    let readCount = 0;
+    const countingCountries = countries.map(country => ({
+      get code() {
+        readCount += 1;
+        return country.code;
+      },
+      name: country.name
+    }));
+    const mapping = {
+      _source: 'users',
+      _each: { country: { _source: '$.country', _lookup: { from: 'countries', key: 'code' } } }
+    };
+    const source = { users: [{ country: 'FR' }, { country: 'DE' }, { country: 'FR' }] };
+    const options = { lookups: { countries: countingCountries } };
+    expect(JsonMapper.map(source, mapping, options).map(user => user.country.name)).to.deep
+      .equal(['France', 'Germany', 'France']);
+    expect(readCount).to.equal(2);
+  });
+
+  it('should reject functions that are not own properties in safe mode', function () {
+    const transforms = { toUpperCase: value => value.toUpperCase() };
+    const mapping = { name: { _source: 'name', _transform: [{ toUpperCase: [] }, { trim: [] }] } };
+    expect(JsonMapper.map({ name: ' a ' }, mapping, { transforms, safe: true })).to.deep.equal({
+      name: 'A'
+    });
+    const unsafeMapping = { name: { _source: 'name', _transform: { constructor: [] } } };
+    expect(() => JsonMapper.compile(unsafeMapping, { transforms, safe: true })).to.throw(
+      'Unknown or not allowed function constructor at name._transform');
+    expect(() => JsonMapper.compile(mapping, { transforms, allowedFunctions: ['toUpperCase'] }))
+      .to.throw('Unknown or not allowed function trim at name._transform[1]');
+    expect(JsonMapper.validate(unsafeMapping, { transforms, safe: true })).to.deep.equal([
+      { path: 'name._transform.constructor', message: 'Unknown function constructor' }
+    ]);
+  });
+
+  it('should throw a LimitError when a mapping exceeds the limits', function () {
+    const expectLimitError = (mapFunction, message) => {
+      expect(mapFunction).to.throw(JsonMapper.LimitError, message);
+    };
+    const source = { list: [1, 2, 3] };
+    expectLimitError(() => JsonMapper.map(source, { a: { b: { c: 1 } } }, {
+      limits: { maxDepth: 3 }
+    }), 'Limit maxDepth (3) exceeded at a.b.c');
+    expectLimitError(() => JsonMapper.map(source, { a: [1, 2, 3] }, {
+      limits: { maxNodes: 3 }
+    }), 'Limit maxNodes (3) exceeded at a[1]');
+    expectLimitError(() => JsonMapper.map(source, { a: { _source: 'list[*]' } }, {
+      limits: { maxWildcardResults: 2 }
+    }), 'Limit maxWildcardResults (2) exceeded at list[*]');
+    const transformMapping = {
+      a: { _source: 'list', _each: { _source: '$', _transform: { round: [] } } }
+    };
+    // Mappings compiled while mapping are checked per mapped value
+    JsonMapper.registerMapping('limitItem', { id: { _source: 'id' } });
+    const mapRecord = JsonMapper.compile({
+      a: { _source: { _source: 'key' }, _include: 'limitItem' }
+    }, { limits: { maxNodes: 8 } });
+    _.times(20, () => expect(mapRecord({ key: 'item', item: { id: 1 } }))
+      .to.deep.equal({ a: { id: 1 } }));
+    expectLimitError(() => JsonMapper.map(source, transformMapping, {
+      limits: { maxFunctionCalls: 2 }
+    }), 'Limit maxFunctionCalls (2) exceeded at a._each');
+    expect(JsonMapper.map(source, transformMapping, { limits: { maxFunctionCalls: 3 } }))
+      .to.deep.equal({ a: [1, 2, 3] });
+  });
+
+  describe('sources and vars', function () {
+    const tenant = { currency: 'EUR', countries: [{ code: 'DE', name: 'Germany' }] };
+
+    it('should resolve named sources and variables', function () {
+      const record = { amount: 5, country: 'DE', $id: 'r1' };
+      const mapping = {
+        id: { _source: "['$id']" },
+        amount: { _source: 'amount', _transform: { append: [{ _source: '$tenant.currency' }] } },
+        locale: { _source: '$vars.locale' },
+        label: { _template: '{{$vars.locale}}-{{country}}' },
+        country: {
+          _source: 'country',
+          _lookup: { from: '$tenant.countries', key: 'code', select: 'name' }
+        },
+        german: {
+          _source: 'amount',
+          _condition: { isEqual: [{ _source: '$vars.locale' }] },
+          _default: false
+        },
+        items: { _source: 'items', _each: { currency: { _source: '$tenant.currency' } } },
+        missing: { _source: '$other.value', _default: 'none' }
+      };
+      const options = {
+        transforms: { isEqual: (value, locale) => locale === 'de' },
+        sources: { tenant },
+        vars: { locale: 'de' }
+      };
+      expect(JsonMapper.map(_.assign({ items: [1] }, record), mapping, options)).to.deep.equal({
+        id: 'r1',
+        amount: '5EUR',
+        locale: 'de',
+        label: 'de-DE',
+        country: 'Germany',
+        german: 5,
+        items: [{ currency: 'EUR' }],
+        missing: 'none'
+      });
+    });
+
+    it('should resolve unknown source names as keys of the source object', function () {
+      const mapping = { a: { _source: '$id' }, b: { _source: '$meta.tags[0]' } };
+      const record = { $id: 1, $meta: { tags: ['x', 'y'] } };
+      expect(JsonMapper.map(record, mapping)).to.deep.equal({ a: 1, b: 'x' });
+      expect(JsonMapper.map(record, mapping, { sources: { id: { x: 2 } } })).to.deep.equal({
+        a: { x: 2 },
+        b: 'x'
+      });
+      expect(JsonMapper.map(record, mapping, { unreferenced: true }).unreferenced)
+        .to.deep.equal(['$meta.tags[*]']);
+    });
+
+    it('should pass sources and vars to compiled mappings per call', function () {
+      const mapRecord = JsonMapper.compile({
+        currency: { _source: '$tenant.currency' },
+        locale: { _source: '$vars.locale' }
+      }, { vars: { locale: 'en' } });
+      expect(mapRecord({}, { sources: { tenant } })).to.deep.equal({
+        currency: 'EUR',
+        locale: 'en'
+      });
+      expect(mapRecord({}, { vars: { locale: 'de' } })).to.deep.equal({
+        currency: undefined,
+        locale: 'de'
+      });
+      expect([{}].map(mapRecord)).to.deep.equal([{ currency: undefined, locale: 'en' }]);
+    });
+
+    it('should throw errors for invalid source names', function () {
+      expect(() => JsonMapper.compile({}, { sources: { root: {} } })).to.throw(
+        'Invalid source name root, expected a name like "tenant" (except root, index, parent, '
+        + 'vars)');
+      expect(() => JsonMapper.compile({}, { sources: [] }))
+        .to.throw('Sources must be an object of source objects by name');
+      expect(() => JsonMapper.compile({})({}, { sources: { 'my-source': {} } }))
+        .to.throw('Invalid source name my-source');
+    });
+  });
+
+  describe('_ref', function () {
+    it('should use mapped values of other keys as source and parameter', function () {
+      const source = { first: 'Ada', last: 'Lovelace', tags: ['math', 'computing'] };
+      const mapping = {
+        greeting: { _ref: 'person.fullName', _transform: { prepend: ['Hello '] } },
+        person: {
+          firstName: { _source: 'first' },
+          fullName: { _template: '{{first}} {{last}}' }
+        },
+        joined: { _source: 'last', _transform: { prepend: [{ _ref: 'person.firstName' }] } },
+        tag: { _ref: 'tags[1]' },
+        tags: { _source: 'tags' },
+        fallback: { _source: 'missing', _default: { _ref: 'person' } }
+      };
+      expect(JsonMapper.map(source, mapping)).to.deep.equal({
+        greeting: 'Hello Ada Lovelace',
+        person: { firstName: 'Ada', fullName: 'Ada Lovelace' },
+        joined: 'AdaLovelace',
+        tag: 'computing',
+        tags: ['math', 'computing'],
+        fallback: { firstName: 'Ada', fullName: 'Ada Lovelace' }
+      });
+    });
+
+    it('should map referenced values only once', function () {
+      let calls = 0;
+      const transforms = {
+        count: value => {
+          calls += 1;
+          return value;
+        }
+      };
+      const mapping = {
+        a: { _ref: 'c' },
+        b: { _ref: 'c' },
+        c: { _source: 'value', _transform: { count: [] } }
+      };
+      expect(JsonMapper.map({ value: 1 }, mapping, transforms)).to.deep.equal({ a: 1, b: 1, c: 1 });
+      expect(calls).to.equal(1);
+    });
+
+    it('should reference the values of mapped objects in _each', function () {
+      const source = { currency: 'EUR', items: [{ price: 1 }, { price: 2 }] };
+      const mapping = {
+        items: {
+          _source: 'items',
+          _each: { price: { _source: '$.price', _transform: { append: [{ _ref: 'currency' }] } } }
+        },
+        currency: { _source: 'currency', _transform: { toLowerCase: [] } }
+      };
+      expect(JsonMapper.map(source, mapping).items).to.deep.equal([
+        { price: '1eur' }, { price: '2eur' }
+      ]);
+    });
+
+    it('should throw errors for unknown and circular references', function () {
+      expect(() => JsonMapper.compile({ a: { _ref: 'b' } })).to.throw('Unknown _ref b at a');
+      expect(() => JsonMapper.compile({ a: { b: 1 }, c: { _ref: 'a.d' } }))
+        .to.throw('Unknown _ref a.d at c');
+      expect(() => JsonMapper.compile({ a: { _ref: 'list[*]' } })).to.throw('Invalid _ref list[*] '
+        + 'at a, expected an output path of keys and indexes like "person.name"');
+      expect(() => JsonMapper.compile({
+        a: { _ref: 'b' },
+        b: { _source: 'x', _transform: { append: [{ _ref: 'a' }] } }
+      })).to.throw('Circular _ref: a -> b -> a');
+      expect(() => JsonMapper.compile({ a: { b: { _ref: 'a' } } }))
+        .to.throw('Circular _ref: a -> a.b -> a');
+    });
+  });
+
+  describe('mapInto', function () {
+    const source = { name: 'new', tags: ['b', 'c'], city: 'Berlin', meta: { a: { c: 2 } } };
+    const mapping = {
+      name: { _source: 'name' },
+      nickname: { _source: 'nickname', _merge: 'skipUndefined' },
+      tags: { _source: 'tags', _merge: 'union' },
+      history: { _source: 'name', _merge: 'append' },
+      address: { city: { _source: 'city' } },
+      meta: { _source: 'meta', _merge: 'merge' },
+      createdBy: { _source: 'name', _merge: 'keep' },
+      settings: { _merge: 'overwrite', theme: 'dark' }
+    };
+    const createTarget = () => ({
+      id: 1,
+      name: 'old',
+      nickname: 'nick',
+      tags: ['a', 'b'],
+      history: ['old'],
+      address: { city: 'Hamburg', zip: '20095' },
+      meta: { a: { b: 1 } },
+      createdBy: 'admin',
+      settings: { language: 'de' }
+    });
+    const expected = {
+      id: 1,
+      name: 'new',
+      nickname: 'nick',
+      tags: ['a', 'b', 'c'],
+      history: ['old', 'new'],
+      address: { city: 'Berlin', zip: '20095' },
+      meta: { a: { b: 1, c: 2 } },
+      createdBy: 'admin',
+      settings: { theme: 'dark' }
+    };
+
+    it('should merge mapped values into a copy of the target', function () {
+      const target = createTarget();
+      expect(JsonMapper.mapInto(target, source, mapping)).to.deep.equal(expected);
+      expect(target).to.deep.equal(createTarget());
+    });
+
+    it('should change the target in place with the mutate option', function () {
+      const target = createTarget();
+      const address = target.address;
+      expect(JsonMapper.mapInto(target, source, mapping, { mutate: true })).to.equal(target);
+      expect(target).to.deep.equal(expected);
+      expect(target.address).to.equal(address);
+    });
+
+    it('should use the merge option for mappings without _merge', function () {
+      const target = { name: 'old', tags: ['a'] };
+      const options = { merge: 'keep', diagnostics: true };
+      const appendMapping = {
+        name: { _source: 'name' },
+        tags: { _source: 'tags', _merge: 'append' }
+      };
+      expect(JsonMapper.mapInto(target, source, appendMapping, options)).to.deep.equal({
+        result: { name: 'old', tags: ['a', 'b', 'c'] },
+        diagnostics: []
+      });
+      expect(() => JsonMapper.mapInto(target, source, mapping, { merge: 'replace' })).to.throw(
+        'Unknown merge strategy replace');
+      expect(() => JsonMapper.mapInto(null, source, mapping)).to.throw(
+        'No target object provided');
+    });
+
+    it('should merge asynchronously mapped values', function () {
+      const options = { async: true, transforms: { load: () => Promise.resolve('loaded') } };
+      const asyncMapping = { b: { _source: 'x', _transform: { load: [] } } };
+      return JsonMapper.mapInto({ a: 1 }, { x: 1 }, asyncMapping, options).then(result =>
+        expect(result).to.deep.equal({ a: 1, b: 'loaded' }));
+    });
+  });
+
+  describe('reverse', function () {
+    it('should regenerate the source object of a mapped object', function () {
+      const source = {
+        user: { name: 'john', id: 'u1' },
+        items: [{ sku: 'a', qty: 1 }, { sku: 'b', qty: 2 }]
+      };
+      const mapping = {
+        name: { _source: 'user.name', _transform: { toUpperCase: [] } },
+        id: { _source: 'user.id', _transform: { prepend: ['USER-'] } },
+        skus: { _source: 'items[*].sku' },
+        quantities: { _source: 'items', _each: { _source: '$.qty' } },
+        total: { _source: 'items[*].qty', _aggregate: 'sum' }
+      };
+      const options = {
+        transforms: { toUpperCase: value => value.toUpperCase() },
+        inverses: { toUpperCase: value => value.toLowerCase() }
+      };
+      const mappedObject = JsonMapper.map(source, mapping, options);
+      expect(JsonMapper.reverse(mappedObject, mapping, options)).to.deep.equal({
+        result: source,
+        nonInvertible: [{ path: 'total', message: 'Mappings with _aggregate cannot be inverted' }]
+      });
+    });
+
+    it('should use included mappings of the options', function () {
+      const options = { mappings: { city: { town: { _source: 'city' } } } };
+      const mapping = { address: { _source: 'address', _include: 'city' } };
+      expect(JsonMapper.reverse({ address: { town: 'Berlin' } }, mapping, options).result)
+        .to.deep.equal({ address: { city: 'Berlin' } });
+    });
+  });
+
+  describe('toJsonSchema', function () {
+    const mapping = {
+      name: { _source: 'name', _transform: { toUpperCase: [] }, _default: '' },
+      age: { _source: 'age', _type: 'integer' },
+      address: { _include: 'address', _source: 'address' }
+    };
+    const options = { mappings: { address: { city: { _source: 'city', _default: '' } } } };
+
+    it('should derive the JSON Schema of the mapped objects', function () {
+      expect(JsonMapper.toJsonSchema(mapping, options)).to.deep.equal({
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          age: { type: 'integer' },
+          address: {
+            type: 'object',
+            properties: { city: {} },
+            required: ['city'],
+            additionalProperties: false
+          }
+        },
+        required: ['name'],
+        additionalProperties: false
+      });
+    });
+
+    it('should accept single wildcard matches and defaults of another type', function () {
+      const checkOptions = { checkSchema: true, diagnostics: true };
+      const wildcardMapping = {
+        ids: { _source: 'items.*.id' },
+        value: { _source: 'a', _default: 5 }
+      };
+      expect(JsonMapper.map({ items: [{ id: 1 }], a: 'x' }, wildcardMapping, checkOptions)
+        .diagnostics).to.deep.equal([]);
+      expect(JsonMapper.map({ items: [{ id: 1 }, { id: 2 }] }, wildcardMapping, checkOptions)
+        .diagnostics).to.deep.equal([]);
+    });
+
+    it('should report mapped objects that do not match the schema', function () {
+      const checkOptions = _.assign({ checkSchema: true, diagnostics: true }, options);
+      const source = { age: '42', address: { city: 'Berlin' } };
+      expect(JsonMapper.map(source, mapping, checkOptions).diagnostics).to.deep.equal([]);
+      const toId = value => value;
+      toId.returnType = 'integer';
+      const idMapping = _.assign({ id: { _source: 'id', _transform: { toId: [] } } }, mapping);
+      const idOptions = _.assign({ transforms: { toId } }, checkOptions);
+      expect(JsonMapper.map({ id: 'a' }, idMapping, idOptions).diagnostics).to.deep.equal([{
+        path: 'id',
+        source: undefined,
+        type: 'schema',
+        message: 'Schema (id): Expected integer, got string'
+      }]);
+      const strictOptions = _.assign({ checkSchema: true, strict: true, transforms: { toId } },
+        options);
+      expect(() => JsonMapper.map({ id: 'a' }, idMapping, strictOptions))
+        .to.throw(JsonMapper.MappingError);
+    });
+  });
+
+  describe('parseInput', function () {
+    it('should map parsed CSV and XML input', function () {
+      const mapping = { id: { _source: 'order.@id' }, items: { _source: 'order.item' } };
+      const order = JsonMapper.parseInput('<order id="7"><item sku="a"/></order>', 'xml', {
+        arrays: ['item'],
+        parseValues: true
+      });
+      expect(JsonMapper.map(order, mapping)).to.deep.equal({ id: 7, items: [{ '@sku': 'a' }] });
+      const records = JsonMapper.parseInput('id\n1\n2', 'csv', { types: { id: 'integer' } });
+      expect(records.map(record => JsonMapper.map(record, { id: { _source: 'id' } })))
+        .to.deep.equal([{ id: 1 }, { id: 2 }]);
+    });
+
+    it('should use registered input adapters', function () {
+      JsonMapper.registerInputAdapter('keyValue', {
+        parse: content => _.fromPairs(content.split(';').map(pair => pair.split('=')))
+      });
+      const parsed = JsonMapper.parseInput('a=1;b=2', 'keyValue');
+      expect(JsonMapper.map(parsed, { b: { _source: 'b' } })).to.deep.equal({ b: '2' });
+    });
+  });
+
+  describe('explain', function () {
+    it('should trace sources, conditions, transforms and defaults by output path', function () {
+      const source = { items: [{ sku: 'a', price: '5' }, { sku: 'b' }], name: 'simple' };
+      const mapping = {
+        skus: {
+          _source: 'items[*].sku',
+          _condition: { _any: [{ returnFalse: [] }, { exists: [] }] }
+        },
+        items: {
+          _source: 'items',
+          _each: { price: { _source: '$.price', _transform: { parseNumber: [] }, _default: 0 } }
+        },
+        name: { _source: 'name', _transform: [{ addX: [] }, { add: ['y', 'z'] }] }
+      };
+      const explanation = JsonMapper.explain(source, mapping, transformSource, {
+        onError: () => {}
+      });
+      expect(explanation.result).to.deep.equal({
+        skus: ['a', 'b'],
+        items: [{ price: 5 }, { price: 0 }],
+        name: 'simplexyz'
+      });
+      const trace = explanation.trace;
+      expect(trace.skus.sources).to.deep.equal([{
+        keyPath: 'items[*].sku',
+        value: ['a', 'b'],
+        matches: [{ path: 'items[0].sku', value: 'a' }, { path: 'items[1].sku', value: 'b' }]
+      }]);
+      expect(trace.skus.conditions.map(call => [call.functionName, call.output])).to.deep.equal([
+        ['returnFalse', false], ['exists', true]
+      ]);
+      expect(trace.skus.conditionMet).to.equal(true);
+      expect(trace['items[0].price']).to.include({ mappingPath: 'items._each.price', result: 5 });
+      expect(trace['items[1].price'].usedDefault).to.equal(true);
+      expect(trace.name.transforms).to.deep.equal([
+        {
+          type: 'transform',
+          functionName: 'addX',
+          parameters: [],
+          input: 'simple',
+          output: 'simplex',
+          error: undefined
+        },
+        {
+          type: 'transform',
+          functionName: 'add',
+          parameters: ['y', 'z'],
+          input: 'simplex',
+          output: 'simplexyz',
+          error: undefined
+        }
+      ]);
+    });
+
+    it('should trace failed transforms, preprocessing and _switch cases', function () {
+      const mapping = {
+        failed: { _source: 'simpleKey', _transform: { fail: [] }, _default: 'default' },
+        switched: {
+          _switch: 'simpleKey',
+          _cases: [{ _condition: { isEqual: ['other'] }, _value: 1 }, { _value: 2 }]
+        }
+      };
+      const trace = JsonMapper.map(testSource, mapping, {
+        transforms: transformSource,
+        preProcess: value => `${value}!`,
+        explain: true,
+        diagnostics: true
+      }).trace;
+      expect(trace.failed.preProcessed).to.equal('simple!');
+      expect(trace.failed.transforms[0].error).to.equal('forced fail');
+      expect(trace.failed.usedDefault).to.equal(true);
+      expect(trace.switched.cases.map(switchCase => switchCase.conditionMet)).to.deep.equal([
+        false, true
+      ]);
+      expect(trace.switched.result).to.equal(2);
+    });
+  });
+
+  describe('mapAsync', function () {
+    const delay = value => new Promise(resolve => setTimeout(() => resolve(value), 5));
+    const asyncTransformSource = {
+      addXAsync: value => delay(`${value}x`),
+      isEqualAsync: (input, parameter) => delay(input === parameter),
+      failAsync: () => delay().then(() => {
+        throw new Error('forced async fail');
+      }),
+      addX: transformSource.addX
+    };
+
+    it('should await async transforms, conditions and nested mappings', function () {
+      const mapping = {
+        target: {
+          _source: 'simpleKey',
+          _condition: [{ isEqualAsync: ['simple'] }, { '!isEqualAsync': ['other'] }],
+          _transform: [
+            { addXAsync: [] },
+            { '@addXAsync': [{ _source: 'key2.object.number', _transform: { addXAsync: [] } }] },
+            { addX: [] }
+          ]
+        },
+        failed: {
+          _source: 'simpleKey',
+          _condition: { '!isEqualAsync': ['simple'] },
+          _default: 'defaultValue'
+        },
+        list: {
+          _source: 'key1.array',
+          _each: { _source: '$.number', _transform: { addXAsync: [] } },
+          _transformEach: { addXAsync: [] }
+        }
+      };
+      return JsonMapper.mapAsync(testSource, mapping, asyncTransformSource).then(result => {
+        expect(result).to.deep.equal({
+          target: '4xxx',
+          failed: 'defaultValue',
+          list: ['1xx', '2xx', '3xx']
+        });
+      });
+    });
+
+    it('should await async conditions of _switch cases and combinators', function () {
+      const mapping = {
+        target: {
+          _switch: 'simpleKey',
+          _cases: [
+            { _condition: { isEqualAsync: ['other'] }, _value: 'other' },
+            {
+              _condition: { _any: [{ isEqualAsync: ['other'] }, { isEqualAsync: ['simple'] }] },
+              _value: { _source: 'simpleKey', _transform: { addXAsync: [] } }
+            }
+          ]
+        }
+      };
+      return JsonMapper.mapAsync(testSource, mapping, asyncTransformSource).then(result => {
+        expect(result).to.deep.equal({ target: 'simplex' });
+      });
+    });
+
+    it('should await referenced values', function () {
+      const mapping = {
+        target: { _ref: 'list[0]' },
+        list: [{ _source: 'simpleKey', _transform: { addXAsync: [] } }]
+      };
+      return JsonMapper.mapAsync(testSource, mapping, asyncTransformSource).then(result => {
+        expect(result).to.deep.equal({ target: 'simplex', list: ['simplex'] });
+      });
+    });
+
+    it('should await async preprocess function', function () {
+      const mapping = { target: { _source: ['simpleKey', 'key2.object.number'] } };
+      return JsonMapper.mapAsync(testSource, mapping, null, value => delay(`${value}!`))
+        .then(result => expect(result.target).to.deep.equal(['simple!', '4!']));
+    });
+
+    it('should use default value when async transform fails', function () {
+      const mapping = {
+        target: { _source: 'simpleKey', _transform: { failAsync: [] }, _default: 'defaultValue' }
+      };
+      return JsonMapper.mapAsync(testSource, mapping, asyncTransformSource, { diagnostics: true })
+        .then(mapped => {
+          expect(mapped.result.target).to.equal('defaultValue');
+          expect(mapped.diagnostics[0].message)
+            .to.equal('Transform (failAsync): forced async fail');
+        });
+    });
+
+    it('should reject in strict mode', function () {
+      const mapping = { target: { _source: 'simpleKey', _transform: { failAsync: [] } } };
+      return JsonMapper.mapAsync(testSource, mapping, asyncTransformSource, { strict: true })
+        .then(() => {
+          throw new Error('should not resolve');
+        }, error => expect(error).to.be.an.instanceof(JsonMapper.MappingError));
+    });
+
+    it('should reject when no source object given', function () {
+      return JsonMapper.mapAsync(null, {}).then(() => {
+        throw new Error('should not resolve');
+      }, error => expect(error.message).to.equal('No source object provided'));
+    });
+
+    it('should limit the number of concurrently running functions', function () {
+      let running = 0;
+      let maxRunning = 0;
+      const countingTransformSource = {
+        count: value => {
+          running += 1;
+          maxRunning = Math.max(running, maxRunning);
+          return delay(value).then(result => {
+            running -= 1;
+            return result;
+          });
+        }
+      };
+      const mapping = _.times(10, () => ({ _source: 'simpleKey', _transform: { count: [] } }));
+      return JsonMapper.mapAsync(testSource, mapping, countingTransformSource, { concurrency: 2 })
+        .then(result => {
+          expect(result).to.deep.equal(_.times(10, () => 'simple'));
+          expect(maxRunning).to.equal(2);
+          maxRunning = 0;
+          return JsonMapper.mapAsync(testSource, mapping, countingTransformSource);
+        })
+        .then(() => expect(maxRunning).to.equal(10));
+    });
+
+    it('should keep promises in the result of map()', function () {
+      const mapping = { target: { _source: 'simpleKey', _transform: { addXAsync: [] } } };
+      const result = JsonMapper.map(testSource, mapping, asyncTransformSource);
+      expect(result.target).to.be.an.instanceof(Promise);
+    });
+
+    it('should reject when the function call limit is exceeded', function () {
+      const mapping = { a: { _source: 'list', _transformEach: { addOne: [] } } };
+      return JsonMapper.mapAsync({ list: [1, 2, 3] }, mapping, {
+        transforms: { addOne: value => Promise.resolve(value + 1) },
+        limits: { maxFunctionCalls: 2 }
+      }).then(() => {
+        throw new Error('not rejected');
+      }, error => expect(error).to.be.an.instanceof(JsonMapper.LimitError));
+    });
+
+    it('should compile async mappings', function () {
+      const mapping = { target: { _source: 'simpleKey', _transform: { addXAsync: [] } } };
+      const mapper = JsonMapper.compile(mapping, asyncTransformSource, { async: true });
+      return mapper(testSource).then(result => expect(result.target).to.equal('simplex'));
+    });
+  });
 });
@@ -0,0 +1,143 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const KeyPath = require('../src/key-path');
+
+const source = {
+  simpleKey: 'simple',
+  headers: { 'content.type': 'json', 'x[1]': 'brackets', "it's": 'quote' },
+  items: [{ sku: 'a', price: 5 }, { sku: 'b', price: 15 }, { sku: 'c', price: 25 }],
+  orders: [
+    { id: 1, status: 'paid', lines: [{ sku: 'x' }], isGift: true },
+    { id: 2, status: 'open', lines: [{ sku: 'y' }, { sku: 'z' }] },
+    { id: 3, status: 'paid', lines: [] }
+  ]
+};
+
+const resolve = keyPath => new KeyPath(keyPath).resolve(source);
+
+describe('KeyPath', function () {
+  it('should resolve dot notation', function () {
+    expect(resolve('simpleKey')).to.equal('simple');
+    expect(resolve('items.1.sku')).to.equal('b');
+    expect(resolve('items.length')).to.equal(3);
+    expect(resolve('simpleKey.length')).to.equal(undefined);
+    expect(resolve('notDefined.key')).to.equal(undefined);
+  });
+
+  it('should resolve wildcards', function () {
+    expect(resolve('items.*.sku')).to.deep.equal(['a', 'b', 'c']);
+    expect(resolve('items[*].sku')).to.deep.equal(['a', 'b', 'c']);
+    expect(resolve('*.0.sku')).to.equal('a');
+    expect(resolve('items.*.notDefined')).to.equal(undefined);
+  });
+
+  it('should leave out missing keys of wildcard results', function () {
+    expect(resolve('orders.*.isGift')).to.equal(true);
+    expect(resolve('orders.*.lines.*.sku')).to.deep.equal(['x', 'y', 'z']);
+  });
+
+  it('should resolve bracket notation and escaped keys', function () {
+    expect(resolve("headers['content.type']")).to.equal('json');
+    expect(resolve('headers["content.type"]')).to.equal('json');
+    expect(resolve('headers.content\\.type')).to.equal('json');
+    expect(resolve("headers['x[1]']")).to.equal('brackets');
+    expect(resolve('headers.x\\[1]')).to.equal('brackets');
+    expect(resolve("headers['it\\'s']")).to.equal('quote');
+    expect(resolve('items[1].sku')).to.equal('b');
+  });
+
+  it('should resolve negative indexes', function () {
+    expect(resolve('items[-1].sku')).to.equal('c');
+    expect(resolve('items[-3].sku')).to.equal('a');
+    expect(resolve('items[-4].sku')).to.equal(undefined);
+    expect(resolve('orders.*.lines[-1].sku')).to.deep.equal(['x', 'z']);
+  });
+
+  it('should resolve slices', function () {
+    expect(resolve('items[1:].sku')).to.deep.equal(['b', 'c']);
+    expect(resolve('items[:2].sku')).to.deep.equal(['a', 'b']);
+    expect(resolve('items[-2:].sku')).to.deep.equal(['b', 'c']);
+    expect(resolve('items[::2].sku')).to.deep.equal(['a', 'c']);
+    expect(resolve('items[::-1].sku')).to.deep.equal(['c', 'b', 'a']);
+    expect(resolve('items[1:2].sku')).to.equal('b');
+    expect(resolve('items[5:].sku')).to.equal(undefined);
+  });
+
+  it('should resolve filters', function () {
+    expect(resolve("orders[?status=='paid'].id")).to.deep.equal([1, 3]);
+    expect(resolve('orders[?status == "open"].id')).to.equal(2);
+    expect(resolve("orders[?status!='paid'].id")).to.equal(2);
+    expect(resolve('items[?@.price > 10].sku')).to.deep.equal(['b', 'c']);
+    expect(resolve('items[?price<=15].sku')).to.deep.equal(['a', 'b']);
+    expect(resolve('orders[?isGift].id')).to.equal(1);
+    expect(resolve('orders.*.id[?@ >= 2]')).to.equal(undefined);
+    expect(resolve('orders[?id >= 2].id')).to.deep.equal([2, 3]);
+  });
+
+  it('should resolve recursive descent', function () {
+    expect(resolve('..sku')).to.deep.equal(['a', 'b', 'c', 'x', 'y', 'z']);
+    expect(resolve('orders..sku')).to.deep.equal(['x', 'y', 'z']);
+    expect(resolve("..[?sku=='y'].sku")).to.equal('y');
+  });
+
+  it('should stop resolving when a path exceeds the maximum number of results', function () {
+    const limitSource = { a: { x: 1 }, b: { x: 2 } };
+    Object.defineProperty(limitSource, 'c', {
+      enumerable: true,
+      get: () => {
+        throw new Error('not stopped');
+      }
+    });
+    expect(() => new KeyPath('..x').resolve(limitSource, 1))
+      .to.throw('Limit maxWildcardResults (1) exceeded at ..x');
+    expect(() => new KeyPath('items[*].sku').resolve(source, 2))
+      .to.throw('Limit maxWildcardResults (2) exceeded at items[*].sku');
+    expect(new KeyPath('items[*].sku').resolve(source, 3)).to.deep.equal(['a', 'b', 'c']);
+  });
+
+  it('should resolve matches with their paths', function () {
+    const resolveMatches = keyPath => new KeyPath(keyPath).resolveMatches(source);
+    expect(resolveMatches('items[1:].sku')).to.deep.equal([
+      { path: 'items[1].sku', value: 'b' },
+      { path: 'items[2].sku', value: 'c' }
+    ]);
+    expect(resolveMatches("orders[?status=='open']..sku")).to.deep.equal([
+      { path: 'orders[1].lines[0].sku', value: 'y' },
+      { path: 'orders[1].lines[1].sku', value: 'z' }
+    ]);
+    expect(resolveMatches('headers.*')[0]).to.deep.equal({
+      path: "headers['content.type']",
+      value: 'json'
+    });
+    expect(resolveMatches('notDefined.*')).to.deep.equal([]);
+  });
+
+  it('should parse variables', function () {
+    const keyPath = new KeyPath('$.items[0]');
+    expect(keyPath.variable).to.equal('$');
+    expect(keyPath.resolve(source)).to.deep.equal({ sku: 'a', price: 5 });
+    expect(new KeyPath("['$'].name").variable).to.equal(null);
+  });
+
+  it('should parse named variables', function () {
+    const keyPath = new KeyPath('$tenant.currency');
+    expect(keyPath.variable).to.equal('$tenant');
+    expect(keyPath.resolve({ currency: 'EUR' })).to.equal('EUR');
+    expect(KeyPath.isNamedVariable('$tenant')).to.equal(true);
+    expect(KeyPath.isNamedVariable('$root')).to.equal(false);
+    expect(new KeyPath("['$id']").variable).to.equal(null);
+    expect(new KeyPath('\\$id').variable).to.equal(null);
+    expect(new KeyPath('$my-key').variable).to.equal(null);
+  });
+
+  it('should throw error for invalid key paths', function () {
+    expect(() => new KeyPath('items[0')).to.throw('Invalid key path "items[0": missing "]"');
+    expect(() => new KeyPath('items[abc]')).to.throw('invalid expression [abc]');
+    expect(() => new KeyPath('items[::0]')).to.throw('slice step must not be 0');
+    expect(() => new KeyPath('items[?price > abc]')).to.throw('invalid filter value abc');
+    expect(() => new KeyPath('items..')).to.throw('recursive descent needs a following key');
+  });
+});
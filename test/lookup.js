@@ -0,0 +1,35 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const Lookup = require('../src/lookup');
+
+const customers = [{ id: 1, name: 'a' }, { id: '2', name: 'b' }, { id: 1, name: 'c' }, {}];
+
+describe('Lookup', function () {
+  it('should find elements by key', function () {
+    const lookup = new Lookup({ from: 'customers' });
+    const index = lookup.createIndex(customers);
+    expect(lookup.find(index, 1)).to.equal(customers[0]);
+    expect(lookup.find(index, 2)).to.equal(customers[1]);
+    expect(lookup.find(index, '1')).to.equal(customers[0]);
+    expect(lookup.find(index, 3)).to.equal(undefined);
+    expect(lookup.find(index, undefined)).to.equal(undefined);
+  });
+
+  it('should select values of the found elements', function () {
+    const lookup = new Lookup({ from: 'products', key: 'info.sku', select: 'price' });
+    const index = lookup.createIndex({ x: { info: { sku: 'a' }, price: 5 } });
+    expect(lookup.find(index, 'a')).to.equal(5);
+    expect(lookup.find(lookup.createIndex(undefined), 'a')).to.equal(undefined);
+  });
+
+  it('should throw errors for invalid lookups', function () {
+    expect(() => new Lookup('customers')).to.throw(
+      'Lookup must be defined as { from, key, select }');
+    expect(() => new Lookup({ from: 'a', as: 'b' })).to.throw('Unknown lookup key as');
+    expect(() => new Lookup({ from: 'a', select: 1 })).to.throw('Lookup select must be a key path');
+    expect(() => new Lookup({ from: 'a', key: 'b[' })).to.throw('Invalid key path "b["');
+  });
+});
@@ -0,0 +1,153 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const stream = require('stream');
+
+const JsonMapper = require('../src/json-mapper');
+
+const mapping = { id: { _source: 'id', _transform: { parseNumber: [] } } };
+
+/**
+ * Writes the chunks to the stream and collects its output
+ *
+ * @returns Promise for the output chunks
+ */
+const runStream = (mapStream, chunks) => new Promise((resolve, reject) => {
+  const output = [];
+  mapStream.on('data', data => output.push(data));
+  mapStream.on('end', () => resolve(output));
+  mapStream.on('error', reject);
+  chunks.forEach(chunk => mapStream.write(chunk));
+  mapStream.end();
+});
+
+const createErrorStream = (failures, objectMode) => new stream.Writable({
+  objectMode,
+  write: (failure, encoding, callback) => {
+    failures.push(objectMode ? failure : failure.toString());
+    callback();
+  }
+});
+
+describe('MapStream', function () {
+  it('should map records in object mode', function () {
+    const mapStream = JsonMapper.createMapStream(mapping);
+    return runStream(mapStream, [{ id: '1' }, { id: 2 }]).then(output => {
+      expect(output).to.deep.equal([{ id: 1 }, { id: 2 }]);
+      expect(mapStream.mapped).to.equal(2);
+      expect(mapStream.failed).to.equal(0);
+    });
+  });
+
+  it('should map NDJSON lines split across chunks', function () {
+    const mapStream = JsonMapper.createMapStream(mapping, { ndjson: true });
+    const input = Buffer.from('{"id":"1"}\n\n{"id":"2","name":"ä"}\n{"id":"3"}');
+    // Splits the two bytes of "ä" into separate chunks
+    const splitIndex = input.indexOf('ä') + 1;
+    return runStream(mapStream, [input.slice(0, 5), input.slice(5, splitIndex),
+      input.slice(splitIndex)]).then(output => {
+        expect(output.join('')).to.equal('{"id":1}\n{"id":2}\n{"id":3}\n');
+        expect(mapStream.mapped).to.equal(3);
+      });
+  });
+
+  it('should end with an error when a record fails without error stream', function () {
+    const mapStream = JsonMapper.createMapStream(mapping, { strict: true });
+    return runStream(mapStream, [{ id: '1' }, { id: 'x' }]).then(() => {
+      throw new Error('expected error');
+    }, error => {
+      expect(error).to.be.an.instanceof(JsonMapper.MappingError);
+      expect(mapStream.failed).to.equal(1);
+    });
+  });
+
+  it('should route failed records to the error stream', function () {
+    const failures = [];
+    const mapStream = JsonMapper.createMapStream(mapping, {
+      strict: true,
+      errorStream: createErrorStream(failures, true)
+    });
+    return runStream(mapStream, [{ id: 'x' }, { id: '2' }, 'invalid']).then(output => {
+      expect(output).to.deep.equal([{ id: 2 }]);
+      expect(failures.map(failure => failure.record)).to.deep.equal([{ id: 'x' }, 'invalid']);
+      expect(failures[0].error).to.be.an.instanceof(JsonMapper.MappingError);
+      expect(failures[1].error.message).to.equal('No source object provided');
+      expect(mapStream.mapped).to.equal(1);
+      expect(mapStream.failed).to.equal(2);
+    });
+  });
+
+  it('should write NDJSON failures with line numbers', function () {
+    const failures = [];
+    const mapStream = JsonMapper.createMapStream(mapping, {
+      ndjson: true,
+      errorStream: createErrorStream(failures, false)
+    });
+    return runStream(mapStream, ['{"id":"1"}\n{"id":\n']).then(output => {
+      expect(output.join('')).to.equal('{"id":1}\n');
+      expect(failures).to.have.length(1);
+      const failure = JSON.parse(failures[0]);
+      expect(failure.line).to.equal(2);
+      expect(failure.record).to.equal('{"id":');
+      expect(failure.error).to.contain('Invalid JSON in line 2');
+    });
+  });
+
+  it('should skip many empty and invalid lines of a chunk', function () {
+    const failures = [];
+    const mapStream = JsonMapper.createMapStream(mapping, {
+      ndjson: true,
+      errorStream: createErrorStream(failures, false)
+    });
+    const input = `${'\n'.repeat(10000)}${'x\n'.repeat(10000)}{"id":"1"}\n`;
+    return runStream(mapStream, [input]).then(output => {
+      expect(output.join('')).to.equal('{"id":1}\n');
+      expect(failures).to.have.length(10000);
+      expect(JSON.parse(failures[9999]).line).to.equal(20000);
+    });
+  });
+
+  it('should route records that cannot be written to the error stream', function () {
+    const failures = [];
+    const bigMapping = { id: { _source: 'id', _transform: { big: [] } } };
+    const mapStream = JsonMapper.createMapStream(bigMapping, {
+      transforms: { big: value => (value === 1 ? BigInt(value) : value) },
+      ndjson: true,
+      errorStream: createErrorStream(failures, false)
+    });
+    return runStream(mapStream, ['{"id":1}\n{"id":2}\n']).then(output => {
+      expect(output.join('')).to.equal('{"id":2}\n');
+      expect(JSON.parse(failures[0])).to.include({ line: 1 });
+      expect(mapStream.mapped).to.equal(1);
+      expect(mapStream.failed).to.equal(1);
+    });
+  });
+
+  it('should wait for async mappings', function () {
+    const transformSource = {
+      double: value => new Promise(resolve => setTimeout(() => resolve(value * 2), 1))
+    };
+    const mapStream = JsonMapper.createMapStream({
+      id: { _source: 'id', _transform: { double: [] } }
+    }, { transforms: transformSource, async: true });
+    return runStream(mapStream, [{ id: 1 }, { id: 2 }]).then(output => {
+      expect(output).to.deep.equal([{ id: 2 }, { id: 4 }]);
+    });
+  });
+
+  it('should stop mapping when the output is not consumed', function (done) {
+    const mapStream = JsonMapper.createMapStream(mapping, { highWaterMark: 2 });
+    const writeResults = [1, 2, 3, 4, 5, 6, 7, 8].map(id => mapStream.write({ id }));
+    expect(writeResults).to.include(false);
+    setTimeout(() => {
+      expect(mapStream.mapped).to.be.below(8);
+      mapStream.on('data', () => {});
+      mapStream.on('end', () => {
+        expect(mapStream.mapped).to.equal(8);
+        done();
+      });
+      mapStream.end();
+    }, 10);
+  });
+});
@@ -0,0 +1,117 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const _ = require('lodash');
+
+const testSource = require('./test-source');
+const JsonMapper = require('../src/json-mapper');
+
+const transformSource = {
+  addX: value => `${value}x`,
+  add: (value, param1, param2) => `${value}${param1}${param2}`,
+  fail: () => {
+    throw new Error('forced fail');
+  },
+  isEqual: (input, parameter) => input === parameter,
+  returnTrue: () => true
+};
+
+const mapping = {
+  literal: 'literal',
+  list: [1, { _source: 'simpleKey' }],
+  simple: { _source: 'simpleKey' },
+  wildcard: { _source: 'key1.array.*.number', _transformEach: { addX: [] } },
+  multiple: { _source: ['simpleKey', 'notDefined', 'key2.object.number'] },
+  transformed: {
+    _source: 'simpleKey',
+    _condition: [{ '!isEqual': [123] }, { '@!isEqual': [3, 2] }],
+    _transform: [{ add: [{ _source: 'key2.object.number' }, 'y'] }, { addX: [] }]
+  },
+  failed: {
+    _source: 'simpleKey',
+    _transform: { fail: [] },
+    _default: { _source: 'key2.object.number' }
+  },
+  nested: {
+    deep: {
+      _source: 'key2.object.number',
+      _condition: { isEqual: [5] },
+      _default: 'defaultValue'
+    }
+  }
+};
+
+describe('MappingPlan', function () {
+  it('should throw error when no mapping given', function () {
+    expect(() => JsonMapper.compile(null)).to.throw(Error);
+  });
+
+  it('should throw error when compiled mapping gets no source object', function () {
+    const mapper = JsonMapper.compile(mapping, transformSource);
+    expect(() => mapper(null)).to.throw(Error);
+  });
+
+  it('should map identically to map()', function () {
+    const mapper = JsonMapper.compile(mapping, transformSource);
+    expect(mapper(testSource)).to.deep.equal(JsonMapper.map(testSource, mapping,
+      transformSource));
+  });
+
+  it('should map multiple source objects with one compiled mapping', function () {
+    const mapper = JsonMapper.compile({ target: { _source: 'simpleKey' } });
+    expect(mapper({ simpleKey: 1 })).to.deep.equal({ target: 1 });
+    expect(mapper({ simpleKey: 2 })).to.deep.equal({ target: 2 });
+    expect(mapper({})).to.deep.equal({ target: undefined });
+  });
+
+  it('should return new objects for every source object', function () {
+    const mapper = JsonMapper.compile({ target: { nested: 'literal' } });
+    const firstResult = mapper({});
+    firstResult.target.nested = 'changed';
+    expect(mapper({})).to.deep.equal({ target: { nested: 'literal' } });
+  });
+
+  it('should preprocess values', function () {
+    const mapper = JsonMapper.compile({ target: { _source: ['simpleKey', 'key2.object.number'] } },
+      null, { preProcess: value => `${value}x` });
+    expect(mapper(testSource).target).to.deep.equal(['simplex', '4x']);
+  });
+
+  it('should resolve _source that is defined by a nested mapping', function () {
+    const dynamicMapping = {
+      target: { _source: { _source: 'keyPath' }, _transform: { addX: [] } }
+    };
+    const mapper = JsonMapper.compile(dynamicMapping, transformSource);
+    expect(mapper({ keyPath: 'a.b', a: { b: 1 } }).target).to.equal('1x');
+    expect(mapper({ keyPath: 'c', c: 2 }).target).to.equal('2x');
+  });
+
+  it('should be faster than repeated map() calls', function () {
+    this.timeout(20000);
+    const benchmarkMapping = _.omit(mapping, 'failed');
+    const sourceObjects = _.times(2000, index => _.defaults({ simpleKey: `simple${index}` },
+      testSource));
+    const measure = mapSourceObject => {
+      const start = process.hrtime();
+      sourceObjects.forEach(mapSourceObject);
+      const duration = process.hrtime(start);
+      return duration[0] * 1e3 + duration[1] / 1e6;
+    };
+
+    const mapDuration = measure(sourceObject => JsonMapper.map(sourceObject, benchmarkMapping,
+      transformSource));
+    const mapper = JsonMapper.compile(benchmarkMapping, transformSource);
+    const compileDuration = measure(mapper);
+    expect(compileDuration).to.be.below(mapDuration);
+  });
+
+  it('should map changes of the mapping and transform source in repeated map() calls', function () {
+    const planMapping = { target: { _source: 'a', _transform: { convert: [] } } };
+    const planSource = { convert: value => `${value}x` };
+    expect(JsonMapper.map({ a: 1, b: 2 }, planMapping, planSource)).to.deep.equal({ target: '1x' });
+    planSource.convert = value => `${value}y`;
+    planMapping.target._source = 'b';
+    expect(JsonMapper.map({ a: 1, b: 2 }, planMapping, planSource)).to.deep.equal({ target: '2y' });
+  });
+});
@@ -0,0 +1,358 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const JsonMapper = require('../src/json-mapper');
+
+const transformSource = {
+  addX: value => `${value}x`,
+  isEqual: (input, parameter) => input === parameter,
+  notAFunction: 'x'
+};
+
+describe('MappingValidator', function () {
+  it('should return no problems for a valid mapping', function () {
+    const mapping = {
+      name: 'John',
+      list: [1, { _source: 'simpleKey' }],
+      target: {
+        _source: ['simpleKey', 'key2.object.number'],
+        _condition: [{ '!isEqual': [1] }, { '@!isEqual': [{ _source: 'simpleKey' }, 2] }],
+        _transform: { addX: [] },
+        _transformEach: [{ addX: [] }],
+        _default: { _source: 'simpleKey' }
+      }
+    };
+    expect(JsonMapper.validate(mapping, transformSource)).to.deep.equal([]);
+  });
+
+  it('should report missing mapping', function () {
+    expect(JsonMapper.validate(null)).to.deep.equal([
+      { path: '', message: 'No mapping provided' }
+    ]);
+  });
+
+  it('should report unknown directives', function () {
+    const mapping = {
+      typo: { _sourse: 'simpleKey' },
+      target: { _source: 'simpleKey', _defualt: 1, _unknown: true, ignored: 1 },
+      _id: 123
+    };
+    expect(JsonMapper.validate(mapping, transformSource)).to.deep.equal([
+      { path: 'typo._sourse', message: 'Unknown directive _sourse' },
+      { path: 'target._defualt', message: 'Unknown directive _defualt' },
+      { path: 'target._unknown', message: 'Unknown directive _unknown' },
+      { path: 'target.ignored', message: 'Key ignored is ignored in a mapping with _source' }
+    ]);
+  });
+
+  it('should report directives without source', function () {
+    const mapping = { target: { _default: 1 } };
+    expect(JsonMapper.validate(mapping, transformSource)).to.deep.equal([
+      { path: 'target._default', message: 'Directive _default has no effect without _source' }
+    ]);
+  });
+
+  it('should report invalid sources', function () {
+    const mapping = {
+      target1: { _source: 123 },
+      target2: { _sources: ['simpleKey', {}] },
+      target3: { _source: 'simpleKey', _sources: 'simpleKey' }
+    };
+    expect(JsonMapper.validate(mapping, transformSource)).to.deep.equal([
+      { path: 'target1._source', message: 'Source must be a string or an array of strings' },
+      { path: 'target2._sources[1]', message: 'Source path must be a string' },
+      { path: 'target3', message: 'Only one of _source and _sources can be defined' }
+    ]);
+  });
+
+  it('should validate sources that are defined by nested mappings', function () {
+    const mapping = {
+      valid: { _source: { _source: 'keyPath' }, _transform: { addX: [] } },
+      validList: { _sources: ['simpleKey', { _source: 'keyPath' }] },
+      invalid: { _source: { _source: 'keyPath', _transform: { unknown: [] } } }
+    };
+    expect(JsonMapper.validate(mapping, transformSource)).to.deep.equal([
+      { path: 'invalid._source._transform.unknown', message: 'Unknown function unknown' }
+    ]);
+  });
+
+  it('should validate functions that are defined by nested mappings', function () {
+    const mapping = {
+      transform: { _source: 'a', _transform: { _source: 'fn' } },
+      transforms: { _source: 'a', _transform: [{ _source: 'fn' }, { addX: [] }] },
+      condition: { _source: 'a', _condition: { _source: 'c' } },
+      combinator: { _source: 'a', _condition: { _any: [{ _source: 'c' }] } },
+      invalid: { _source: 'a', _transform: { _source: 'fn', _transform: { unknown: [] } } }
+    };
+    expect(JsonMapper.validate(mapping, transformSource)).to.deep.equal([
+      { path: 'invalid._transform._transform.unknown', message: 'Unknown function unknown' }
+    ]);
+  });
+
+  it('should report unknown functions', function () {
+    const mapping = {
+      target: {
+        _source: 'simpleKey',
+        _condition: { '!@unknownCondition': [] },
+        _transform: [{ addX: [] }, { notAFunction: [] }]
+      }
+    };
+    expect(JsonMapper.validate(mapping, transformSource)).to.deep.equal([
+      {
+        path: 'target._condition.!@unknownCondition',
+        message: 'Unknown function unknownCondition'
+      },
+      { path: 'target._transform[1].notAFunction', message: 'Unknown function notAFunction' }
+    ]);
+  });
+
+  it('should report malformed function objects and parameters', function () {
+    const mapping = {
+      target: {
+        _source: 'simpleKey',
+        _condition: { isEqual: 1 },
+        _transform: [{ addX: [], isEqual: [] }, 'addX']
+      }
+    };
+    expect(JsonMapper.validate(mapping, transformSource)).to.deep.equal([
+      { path: 'target._condition.isEqual', message: 'Function parameters must be an array' },
+      {
+        path: 'target._transform[0]',
+        message: 'Function must be defined as { functionName: [parameters] }'
+      },
+      {
+        path: 'target._transform[1]',
+        message: 'Function must be defined as { functionName: [parameters] }'
+      }
+    ]);
+  });
+
+  it('should report problems in nested parameter mappings', function () {
+    const mapping = {
+      target: {
+        _source: 'simpleKey',
+        _transform: { isEqual: [{ _source: 'simpleKey', _transform: { missing: [] } }] }
+      }
+    };
+    expect(JsonMapper.validate(mapping, transformSource)).to.deep.equal([
+      {
+        path: 'target._transform.isEqual[0]._transform.missing',
+        message: 'Unknown function missing'
+      }
+    ]);
+  });
+
+  it('should report variables outside of _each', function () {
+    const mapping = {
+      valid: { _source: 'list', _each: { _source: ['$.name', '$index', '$root.name'] } },
+      nested: { _source: 'list', _each: { _source: '$.list', _each: { _source: '$parent.id' } } },
+      invalid: { _source: '$.name' },
+      invalidParent: { _source: 'list', _each: { _source: '$parent.id' } },
+      invalidPath: { _source: 'a[0' }
+    };
+    expect(JsonMapper.validate(mapping, transformSource)).to.deep.equal([
+      { path: 'invalid._source', message: 'Variable $ can only be used inside of _each' },
+      {
+        path: 'invalidParent._each._source',
+        message: 'Variable $parent can only be used inside of a nested _each'
+      },
+      {
+        path: 'invalidPath._source',
+        message: 'Invalid source path: Invalid key path "a[0": missing "]"'
+      }
+    ]);
+  });
+
+  it('should report unknown and circular includes', function () {
+    const mappings = {
+      address: { street: { _source: 'street', _transform: { missing: [] } } },
+      circular: { nested: { _include: 'circularChild' } },
+      circularChild: { _include: 'circular' }
+    };
+    const mapping = {
+      billing: { _include: 'address', _source: 'billing', country: { _source: 'country' } },
+      unknown: { _include: 'notDefined' },
+      invalid: { _include: 1 },
+      circular: { _include: 'circular' }
+    };
+    expect(JsonMapper.validate(mapping, { mappings })).to.deep.equal([
+      { path: 'billing.street._transform.missing', message: 'Unknown function missing' },
+      { path: 'unknown._include', message: 'Unknown mapping notDefined' },
+      { path: 'invalid._include', message: 'Included mapping name must be a string' },
+      {
+        path: 'circular.nested._include',
+        message: 'Circular include: circular -> circularChild -> circular'
+      }
+    ]);
+  });
+
+  it('should report problems in _switch mappings', function () {
+    const mapping = {
+      valid: {
+        _switch: 'simpleKey',
+        _cases: [
+          { _condition: { _any: [{ isEqual: [1] }, { _not: { isEqual: [2] } }] }, _value: 1 },
+          { _value: { _source: 'simpleKey' } }
+        ],
+        _default: 2
+      },
+      invalidCases: { _cases: {} },
+      invalidCase: {
+        _cases: [{ _condition: { isEqual: [1] } }, { _value: 1, _transform: { addX: [] } }],
+        ignored: 1
+      },
+      invalidCombinator: { _source: 'simpleKey', _transform: { _any: [{ addX: [] }] } },
+      withoutCases: { _switch: 'simpleKey' }
+    };
+    expect(JsonMapper.validate(mapping, transformSource)).to.deep.equal([
+      { path: 'invalidCases._cases', message: 'Cases must be an array' },
+      {
+        path: 'invalidCase._cases[0]',
+        message: 'Case must be defined as { _condition, _value }'
+      },
+      { path: 'invalidCase._cases[1]._transform', message: 'Key _transform is ignored in a case' },
+      { path: 'invalidCase.ignored', message: 'Key ignored is ignored in a mapping with _cases' },
+      {
+        path: 'invalidCombinator._transform._any',
+        message: 'Combinator _any can only be used in conditions'
+      },
+      {
+        path: 'withoutCases._switch',
+        message: 'Directive _switch has no effect without _cases'
+      }
+    ]);
+  });
+
+  it('should report invalid _required directives', function () {
+    const mapping = {
+      valid: { _source: 'simpleKey', _required: true },
+      invalid: { _source: 'simpleKey', _required: 'yes' },
+      withoutSource: { _required: true }
+    };
+    expect(JsonMapper.validate(mapping)).to.deep.equal([
+      { path: 'invalid._required', message: 'Directive _required must be true or false' },
+      {
+        path: 'withoutSource._required',
+        message: 'Directive _required has no effect without _source'
+      }
+    ]);
+  });
+
+  it('should validate _template placeholders and _missing', function () {
+    const mapping = {
+      valid: { _template: '{{a | toFixed(2)}} \\{{b}}', _missing: 'keep' },
+      unknownFunction: { _template: '{{a | notDefined}}' },
+      variable: { _template: '{{$.a}}' },
+      invalid: { _template: 'a {{b', _source: 'a' },
+      missing: { _template: '{{a}}', _missing: 'none' },
+      withoutTemplate: { _source: 'a', _missing: 'keep' }
+    };
+    expect(JsonMapper.validate(mapping)).to.deep.equal([
+      { path: 'unknownFunction._template.notDefined', message: 'Unknown function notDefined' },
+      { path: 'variable._template', message: 'Variable $ can only be used inside of _each' },
+      {
+        path: 'invalid',
+        message: 'Directive _template cannot be combined with _source / _sources'
+      },
+      {
+        path: 'invalid._template',
+        message: 'Invalid template "a {{b": missing "}}" after position 2'
+      },
+      {
+        path: 'missing._missing',
+        message: 'Directive _missing must be one of empty, keep, default'
+      },
+      {
+        path: 'withoutTemplate._missing',
+        message: 'Directive _missing has no effect without _template'
+      }
+    ]);
+  });
+
+  it('should report invalid _ref directives', function () {
+    const mapping = {
+      valid: { _ref: 'name', _transform: { addX: [] } },
+      name: 'John',
+      invalid: { _ref: 1 },
+      combined: { _ref: 'name', _source: 'a' }
+    };
+    expect(JsonMapper.validate(mapping, transformSource)).to.deep.equal([
+      { path: 'invalid._ref', message: 'Directive _ref must be an output path like "person.name"' },
+      {
+        path: 'combined',
+        message: 'Directive _ref cannot be combined with _source / _sources / _template'
+      }
+    ]);
+    expect(JsonMapper.validate({ a: { _ref: 'b' }, b: { _ref: 'a' } })).to.deep.equal([
+      { path: '', message: 'Circular _ref: a -> b -> a' }
+    ]);
+    expect(JsonMapper.validate({ a: { _ref: 'c' } })).to.deep.equal([
+      { path: '', message: 'Unknown _ref c at a' }
+    ]);
+  });
+
+  it('should accept named sources outside of _each', function () {
+    const mapping = {
+      currency: { _source: '$tenant.currency' },
+      locale: { _source: '$vars.locale' },
+      other: { _source: '$other.value' }
+    };
+    const unknownSource = name =>
+      `Unknown source $${name} (quote keys starting with "$", e.g. "['$${name}']")`;
+    expect(JsonMapper.validate(mapping)).to.deep.equal([]);
+    expect(JsonMapper.validate(mapping, { sources: { tenant: {} } })).to.deep.equal([
+      { path: 'other._source', message: unknownSource('other') }
+    ]);
+  });
+
+  it('should report invalid aggregations', function () {
+    const mapping = {
+      valid: { _source: 'a', _aggregate: { groupBy: 'b.c' } },
+      unknown: { _source: 'a', _aggregate: 'total' },
+      invalidPath: { _source: 'a', _aggregate: { countBy: 'b[' } }
+    };
+    expect(JsonMapper.validate(mapping)).to.deep.equal([
+      { path: 'unknown._aggregate', message: 'Unknown aggregation total' },
+      { path: 'invalidPath._aggregate', message: 'Invalid key path "b[": missing "]"' }
+    ]);
+  });
+
+  it('should report unknown types', function () {
+    const mapping = {
+      valid: { _source: 'a', _type: 'string[]' },
+      unknown: { _source: 'a', _type: 'float' }
+    };
+    expect(JsonMapper.validate(mapping)).to.deep.equal([{
+      path: 'unknown._type',
+      message: 'Unknown type float, expected string, number, integer, boolean, date, array, '
+        + 'object (or an array type like "number[]")'
+    }]);
+  });
+
+  it('should report invalid lookups', function () {
+    const mapping = {
+      valid: { _source: 'a', _lookup: { from: 'b', key: 'c', select: 'd' } },
+      invalid: { _source: 'a', _lookup: 'b' },
+      unknownKey: { _source: 'a', _lookup: { from: 'b', by: 'c' } }
+    };
+    expect(JsonMapper.validate(mapping)).to.deep.equal([
+      { path: 'invalid._lookup', message: 'Lookup must be defined as { from, key, select }' },
+      { path: 'unknownKey._lookup', message: 'Unknown lookup key by' }
+    ]);
+  });
+
+  it('should report unknown merge strategies', function () {
+    const mapping = {
+      valid: { _source: 'a', _merge: 'union' },
+      object: { _merge: 'keep', key: 'value' },
+      unknown: { _source: 'a', _merge: 'replace' }
+    };
+    expect(JsonMapper.validate(mapping)).to.deep.equal([{
+      path: 'unknown._merge',
+      message: 'Unknown merge strategy replace, expected overwrite, skipUndefined, keep, merge, '
+        + 'append, union'
+    }]);
+  });
+});
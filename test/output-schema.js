@@ -0,0 +1,151 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const MappingPlan = require('../src/mapping-plan');
+const OutputSchema = require('../src/output-schema');
+
+const createSchema = (mappingObject, transformSource, options) =>
+  new OutputSchema(new MappingPlan(mappingObject, transformSource, options || {}));
+
+describe('OutputSchema', function () {
+  it('should create schemas of literals, objects and arrays', function () {
+    const schema = createSchema({ type: 'user', version: 2, nested: { flag: true }, list: [null] })
+      .schema;
+    expect(schema).to.deep.equal({
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      type: 'object',
+      properties: {
+        type: { type: 'string', const: 'user' },
+        version: { type: 'integer', const: 2 },
+        nested: {
+          type: 'object',
+          properties: { flag: { type: 'boolean', const: true } },
+          required: ['flag'],
+          additionalProperties: false
+        },
+        list: { type: 'array', items: [{ type: 'null', const: null }] }
+      },
+      required: ['type', 'version', 'nested', 'list'],
+      additionalProperties: false
+    });
+  });
+
+  it('should derive the types of mappings', function () {
+    const parse = value => value;
+    parse.returnType = 'number[]';
+    const toUser = value => value;
+    toUser.returnType = { type: 'object', properties: { id: { type: 'string' } } };
+    const transforms = { parse, toUser, unknown: value => value };
+    const schema = createSchema({
+      a: { _source: 'a', _type: 'integer' },
+      b: { _source: 'b', _transform: [{ parse: [] }] },
+      c: { _source: 'c', _transform: { toUser: [] } },
+      d: { _source: 'd', _transform: [{ parse: [] }, { unknown: [] }] },
+      e: { _source: 'e', _transform: { toUpperCase: [] } },
+      f: { _source: 'f', _transformEach: { '!isEmpty': [] } },
+      g: { _template: '{{a}}' },
+      h: { _source: 'h[*].price', _aggregate: 'count' },
+      i: { _source: 'i', _each: { _source: '$.id', _type: 'string' } },
+      j: { _source: 'j[*].id' },
+      k: { _sources: ['a', 'b'] },
+      l: { _source: 'l', _default: 0 },
+      m: { _source: 'm' },
+      n: { _ref: 'a' }
+    }, transforms).schema;
+    expect(schema.properties).to.deep.equal({
+      a: { type: 'integer' },
+      b: { type: 'array', items: { type: 'number' } },
+      c: { type: 'object', properties: { id: { type: 'string' } } },
+      d: {},
+      e: { type: 'string' },
+      f: { type: 'array', items: { type: 'boolean' } },
+      g: { type: 'string' },
+      h: { type: 'integer' },
+      i: { type: 'array', items: { type: 'string' } },
+      j: {},
+      k: { type: 'array' },
+      l: {},
+      m: {},
+      n: { type: 'integer' }
+    });
+    expect(schema.required).to.deep.equal(['l']);
+  });
+
+  it('should apply _transformEach to the result of _transform', function () {
+    const schema = createSchema({
+      a: { _source: 'a', _transform: { split: [','] }, _transformEach: { parseNumber: [] } },
+      b: { _source: 'b', _transform: { split: [','] }, _transformEach: { unknown: [] } },
+      c: { _source: 'c', _transform: { toUpperCase: [] }, _transformEach: { parseNumber: [] } },
+      d: { _source: 'd', _transform: { unknown: [] }, _transformEach: { parseNumber: [] } }
+    }, { unknown: value => value });
+    expect(schema.schema.properties).to.deep.equal({
+      a: { type: 'array', items: { type: 'number' } },
+      b: { type: 'array' },
+      c: { type: 'string' },
+      d: {}
+    });
+    expect(schema.check({ a: [1, 2], b: ['1'], c: 'X', d: 1 })).to.deep.equal([]);
+  });
+
+  it('should add default values of another type with anyOf', function () {
+    const schema = createSchema({
+      a: { _source: 'a', _type: 'integer', _default: 0 },
+      b: { _source: 'b', _type: 'string', _default: 0 },
+      c: { _source: 'c', _type: 'string', _default: { _source: 'd', _type: 'integer' } },
+      d: { _template: '{{d}}', _default: { _template: '{{e}}' } }
+    }).schema;
+    expect(schema.properties).to.deep.equal({
+      a: { type: 'integer' },
+      b: { anyOf: [{ type: 'string' }, { type: 'integer', const: 0 }] },
+      c: { anyOf: [{ type: 'string' }, { type: 'integer' }] },
+      d: { type: 'string' }
+    });
+    expect(createSchema({ e: { _source: 'e', _type: 'string' } }, null, { defaultValue: null })
+      .schema.properties.e).to.deep.equal({
+        anyOf: [{ type: 'string' }, { type: 'null', const: null }]
+      });
+  });
+
+  it('should mark mappings with conditions or without _default as optional', function () {
+    const schema = createSchema({
+      a: { _source: 'a', _default: 'x', _condition: { isString: [] } },
+      b: { _source: 'b', _required: true },
+      c: { _source: 'c' },
+      d: { _source: 'd', _cases: [{ _condition: { isString: [] }, _value: 1 }], _default: 2 },
+      e: { _source: 'e', _cases: [{ _condition: { isString: [] }, _value: 'x' }] }
+    }).schema;
+    expect(schema.required).to.deep.equal(['b', 'd']);
+    expect(schema.properties.d).to.deep.equal({
+      anyOf: [{ type: 'integer', const: 1 }, { type: 'integer', const: 2 }]
+    });
+    expect(createSchema({ c: { _source: 'c' } }, null, { defaultValue: null }).schema.required)
+      .to.deep.equal(['c']);
+  });
+
+  it('should check values against the schema', function () {
+    const outputSchema = createSchema({
+      type: 'user',
+      id: { _source: 'id', _type: 'integer', _default: 0 },
+      created: { _source: 'created', _type: 'date' },
+      items: { _source: 'items', _each: { price: { _source: '$.price', _type: 'number' } } }
+    });
+    expect(outputSchema.check({ type: 'user', id: 1, items: [{ price: 1.5 }] })).to.deep.equal([]);
+    expect(outputSchema.check({
+      type: 'admin',
+      created: 'yesterday',
+      items: [{ price: 1 }, { price: '2' }],
+      other: 1
+    })).to.deep.equal([
+      { path: 'id', message: 'Missing required property' },
+      { path: 'type', message: 'Expected "user"' },
+      { path: 'created', message: 'Expected date-time' },
+      { path: 'items[1].price', message: 'Expected number, got string' },
+      { path: 'other', message: 'Unexpected property' }
+    ]);
+    expect(outputSchema.check([])).to.deep.equal([
+      { path: '', message: 'Expected object, got array' }
+    ]);
+  });
+});
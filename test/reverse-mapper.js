@@ -0,0 +1,111 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const MappingPlan = require('../src/mapping-plan');
+const ReverseMapper = require('../src/reverse-mapper');
+
+const reverse = (mappedObject, mappingObject, inverses, options) =>
+  new ReverseMapper(new MappingPlan(mappingObject, null, options || {}), inverses)
+    .reverse(mappedObject);
+
+describe('ReverseMapper', function () {
+  it('should write values back to their source paths', function () {
+    const mapping = {
+      name: { _source: 'user.name' },
+      city: { _source: 'user.addresses[0].city' },
+      type: 'user',
+      list: [{ _source: 'a' }, { _source: '$root.b' }]
+    };
+    const mappedObject = { name: 'John', city: 'Berlin', type: 'user', list: [1, undefined] };
+    expect(reverse(mappedObject, mapping)).to.deep.equal({
+      result: { user: { name: 'John', addresses: [{ city: 'Berlin' }] }, a: 1 },
+      nonInvertible: []
+    });
+  });
+
+  it('should write wildcard values position-wise', function () {
+    const mapping = { skus: { _source: 'items[*].sku' }, prices: { _source: 'items[*].price' } };
+    const items = reverse({ skus: ['a', undefined, 'c'], prices: [1, 2] }, mapping).result.items;
+    expect(items).to.have.lengthOf(3);
+    expect(items[0]).to.deep.equal({ sku: 'a', price: 1 });
+    expect(items[1]).to.deep.equal({ price: 2 });
+    expect(items[2]).to.deep.equal({ sku: 'c' });
+    expect(reverse({ skus: 'a' }, mapping).result).to.deep.equal({ items: [{ sku: 'a' }] });
+  });
+
+  it('should reverse _each and _include', function () {
+    const mapping = {
+      items: {
+        _source: 'order.items',
+        _each: {
+          sku: { _source: '$.id' },
+          order: { _source: '$parent.id' },
+          i: { _source: '$index' }
+        }
+      },
+      address: { _source: 'billing', _include: 'address' },
+      shipping: { _include: 'address' }
+    };
+    const mappedObject = {
+      items: [{ sku: 'a', i: 0 }, { sku: 'b', i: 1 }],
+      address: { city: 'Berlin' },
+      shipping: { city: 'Hamburg' }
+    };
+    const options = { mappings: { address: { city: { _source: 'city' } } } };
+    expect(reverse(mappedObject, mapping, null, options).result).to.deep.equal({
+      order: { items: [{ id: 'a' }, { id: 'b' }] },
+      billing: { city: 'Berlin' },
+      city: 'Hamburg'
+    });
+  });
+
+  it('should call inverse functions in reverse order', function () {
+    const mapping = {
+      code: { _source: 'code', _transform: [{ toUpperCase: [] }, { prepend: ['ID-'] }] },
+      tags: { _source: 'tags', _transformEach: { append: ['!'] } }
+    };
+    const inverses = { toUpperCase: value => value.toLowerCase() };
+    expect(reverse({ code: 'ID-ABC', tags: ['a!', 'b!'] }, mapping, inverses)).to.deep.equal({
+      result: { code: 'abc', tags: ['a', 'b'] },
+      nonInvertible: []
+    });
+  });
+
+  it('should report mappings that cannot be inverted', function () {
+    const mapping = {
+      full: { _sources: ['a', 'b'] },
+      total: { _source: 'items[*].price', _aggregate: 'sum' },
+      flag: { _source: 'flag', _condition: { isEqual: [true] } },
+      text: { _template: '{{a}}' },
+      upper: { _source: 'upper', _transform: { toUpperCase: [] } },
+      broken: { _source: 'broken', _transform: { toUpperCase: [] } },
+      deep: { _source: 'items..price' },
+      name: { _source: 'name' }
+    };
+    const mappedObject = {
+      full: 'ab', total: 3, flag: true, text: 'a', upper: 'A', broken: 1, deep: [1], name: 'n'
+    };
+    const inverses = { toUpperCase: value => value.toLowerCase() };
+    const reversed = reverse(mappedObject, mapping, inverses);
+    expect(reversed.result).to.deep.equal({ upper: 'a', name: 'n' });
+    expect(reversed.nonInvertible).to.deep.equal([
+      { path: 'full', message: 'Mappings with _sources cannot be inverted' },
+      { path: 'total', message: 'Mappings with _aggregate cannot be inverted' },
+      { path: 'flag', message: 'Mappings with _condition cannot be inverted' },
+      { path: 'text', message: 'Mappings with _template cannot be inverted' },
+      { path: 'broken', message: 'Inverse (toUpperCase): value.toLowerCase is not a function' },
+      { path: 'deep', message: 'Source path items..price cannot be inverted' }
+    ]);
+  });
+
+  it('should report transforms without inverse function once', function () {
+    const mapping = {
+      list: { _source: 'list', _each: { a: { _source: '$.a', _transform: { trim: [] } } } }
+    };
+    expect(reverse({ list: [{ a: 'x' }, { a: 'y' }] }, mapping).nonInvertible).to.deep.equal([
+      { path: 'list._each.a', message: 'No inverse function for transform trim' }
+    ]);
+  });
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const JsonMapper = require('../src/json-mapper');
+const standardLibrary = require('../src/standard-library');
+
+describe('standardLibrary', function () {
+  it('should transform strings', function () {
+    expect(standardLibrary.trim('  a b  ')).to.equal('a b');
+    expect(standardLibrary.trim('--a--', '-')).to.equal('a');
+    expect(standardLibrary.trimStart('  a  ')).to.equal('a  ');
+    expect(standardLibrary.trimEnd('  a  ')).to.equal('  a');
+    expect(standardLibrary.toUpperCase('abc')).to.equal('ABC');
+    expect(standardLibrary.toLowerCase('ABC')).to.equal('abc');
+    expect(standardLibrary.capitalize('apple pie')).to.equal('Apple pie');
+    expect(standardLibrary.split('a,b,c', ',')).to.deep.equal(['a', 'b', 'c']);
+    expect(standardLibrary.split('a  b c', '/\\s+/')).to.deep.equal(['a', 'b', 'c']);
+    expect(standardLibrary.split('a,b,c', ',', 2)).to.deep.equal(['a', 'b']);
+    expect(standardLibrary.join(['a', 'b'])).to.equal('a,b');
+    expect(standardLibrary.join(['a', 'b'], '')).to.equal('ab');
+    expect(standardLibrary.replace('a.b.c', '.', '-')).to.equal('a-b-c');
+    expect(standardLibrary.replaceRegExp('a1b22', '\\d+', '#', 'g')).to.equal('a#b#');
+    expect(standardLibrary.padStart(7, 3, '0')).to.equal('007');
+    expect(standardLibrary.padEnd('a', 3, '.')).to.equal('a..');
+    expect(standardLibrary.substr('abcdef', 1, 3)).to.equal('bcd');
+    expect(standardLibrary.substr('abcdef', -2)).to.equal('ef');
+    expect(standardLibrary.append('a', 'b')).to.equal('ab');
+    expect(standardLibrary.prepend('a', 'b')).to.equal('ba');
+  });
+
+  it('should transform numbers', function () {
+    expect(standardLibrary.parseNumber(' 1.5 ')).to.equal(1.5);
+    expect(standardLibrary.parseNumber(2)).to.equal(2);
+    expect(() => standardLibrary.parseNumber('1.5kg')).to.throw('1.5kg is not a number');
+    expect(() => standardLibrary.parseNumber('')).to.throw(Error);
+    expect(() => standardLibrary.parseNumber(null)).to.throw(Error);
+    expect(standardLibrary.parseInteger('42px')).to.equal(42);
+    expect(standardLibrary.parseInteger('ff', 16)).to.equal(255);
+    expect(() => standardLibrary.parseInteger('abc')).to.throw('abc is not an integer');
+    expect(standardLibrary.round(1.256, 2)).to.equal(1.26);
+    expect(standardLibrary.round(1.5)).to.equal(2);
+    expect(standardLibrary.toFixed(1.5, 2)).to.equal('1.50');
+    expect(standardLibrary.clamp(15, 0, 10)).to.equal(10);
+  });
+
+  it('should transform dates', function () {
+    const isoString = '2016-06-01T08:05:09.007Z';
+    expect(standardLibrary.parseDate(isoString).getTime()).to.equal(Date.parse(isoString));
+    expect(() => standardLibrary.parseDate('not a date')).to.throw(
+      'not a date is not a valid date');
+    expect(() => standardLibrary.parseDate(null)).to.throw(Error);
+    expect(standardLibrary.formatDate(isoString)).to.equal('2016-06-01');
+    expect(standardLibrary.formatDate(isoString, 'DD.MM.YYYY HH:mm:ss.SSS')).to.equal(
+      '01.06.2016 08:05:09.007');
+    expect(standardLibrary.toISOString(Date.parse(isoString))).to.equal(isoString);
+    expect(standardLibrary.toTimestamp(isoString)).to.equal(Date.parse(isoString));
+  });
+
+  it('should transform arrays', function () {
+    const users = [{ name: 'b', address: { city: 'x' } }, { name: 'a' }];
+    expect(standardLibrary.first([1, 2])).to.equal(1);
+    expect(standardLibrary.last([1, 2])).to.equal(2);
+    expect(standardLibrary.flatten([1, [2, [3]]])).to.deep.equal([1, 2, [3]]);
+    expect(standardLibrary.flatten([1, [2, [3]]], true)).to.deep.equal([1, 2, 3]);
+    expect(standardLibrary.unique([1, 1, { a: 1 }, { a: 1 }])).to.deep.equal([1, { a: 1 }]);
+    expect(standardLibrary.sort([3, 1, 2])).to.deep.equal([1, 2, 3]);
+    expect(standardLibrary.sort([3, 1, 2], null, 'desc')).to.deep.equal([3, 2, 1]);
+    expect(standardLibrary.sort(users, 'name')).to.deep.equal([users[1], users[0]]);
+    expect(standardLibrary.pluck(users, 'address.city')).to.deep.equal(['x', undefined]);
+    expect(standardLibrary.zipToObjects({ name: ['a', 'b'], id: [1, 2] })).to.deep.equal([
+      { name: 'a', id: 1 }, { name: 'b', id: 2 }]);
+  });
+
+  it('should check conditions', function () {
+    expect(standardLibrary.equals({ a: [1] }, { a: [1] })).to.equal(true);
+    expect(standardLibrary.in('a', ['a', 'b'])).to.equal(true);
+    expect(standardLibrary.in('c', ['a', 'b'])).to.equal(false);
+    expect(standardLibrary.exists(0)).to.equal(true);
+    expect(standardLibrary.exists(null)).to.equal(false);
+    expect(standardLibrary.matches('123', '^\\d+$')).to.equal(true);
+    expect(standardLibrary.matches('ABC', '^abc$', 'i')).to.equal(true);
+    expect(standardLibrary.isString('a')).to.equal(true);
+    expect(standardLibrary.isNumber(NaN)).to.equal(false);
+    expect(standardLibrary.isBoolean(false)).to.equal(true);
+    expect(standardLibrary.isArray([])).to.equal(true);
+    expect(standardLibrary.isObject([])).to.equal(false);
+    expect(standardLibrary.isEmpty('')).to.equal(true);
+    expect(standardLibrary.isEmpty(0)).to.equal(false);
+    expect(standardLibrary.isEmpty({})).to.equal(true);
+  });
+
+  it('should be available in mappings without a transform source', function () {
+    const mapping = {
+      name: { _source: 'name', _transform: [{ trim: [] }, { toUpperCase: [] }] },
+      tags: { _source: 'tags', _transform: { split: [','] }, _transformEach: { trim: [] } },
+      adult: { _source: 'name', _condition: { '@!in': [{ _source: 'age' }, [1, 2]] } },
+      missing: { _source: 'notDefined', _condition: { exists: [] }, _default: 'none' }
+    };
+    const source = { name: ' max ', tags: 'a, b', age: 30 };
+    expect(JsonMapper.map(source, mapping)).to.deep.equal({
+      name: 'MAX',
+      tags: ['a', 'b'],
+      adult: ' max ',
+      missing: 'none'
+    });
+  });
+
+  it('should prefer functions of the transform source', function () {
+    const transformSource = { trim: value => `trimmed ${value}` };
+    const mapping = { name: { _source: 'name', _transform: { trim: [] } } };
+    expect(JsonMapper.map({ name: ' a ' }, mapping, transformSource).name).to.equal(
+      'trimmed  a ');
+  });
+
+  it('should be known to the validator', function () {
+    expect(JsonMapper.validate({ a: { _source: 'a', _transform: { '!isEmpty': [] } } }))
+      .to.deep.equal([]);
+  });
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const TargetMerger = require('../src/target-merger');
+
+const merge = (strategy, targetValue, value) => new TargetMerger(strategy).merge(targetValue,
+  value, { type: 'mapping' });
+
+describe('TargetMerger', function () {
+  it('should overwrite, keep and skip undefined values', function () {
+    expect(merge('overwrite', 1, 2)).to.equal(2);
+    expect(merge('overwrite', 1, undefined)).to.equal(undefined);
+    expect(merge(undefined, 1, 2)).to.equal(2);
+    expect(merge('skipUndefined', 1, undefined)).to.equal(1);
+    expect(merge('skipUndefined', 1, null)).to.equal(null);
+    expect(merge('keep', 1, 2)).to.equal(1);
+    expect(merge('keep', undefined, 2)).to.equal(2);
+  });
+
+  it('should merge objects deeply', function () {
+    expect(merge('merge', { a: { b: 1, c: [1] } }, { a: { d: 2, c: [2] } })).to.deep.equal({
+      a: { b: 1, c: [2], d: 2 }
+    });
+    expect(merge('merge', 'a', { b: 1 })).to.deep.equal({ b: 1 });
+    expect(merge('merge', { b: 1 }, undefined)).to.deep.equal({ b: 1 });
+  });
+
+  it('should append and unite arrays', function () {
+    expect(merge('append', [1, 2], [2, 3])).to.deep.equal([1, 2, 2, 3]);
+    expect(merge('append', undefined, 1)).to.deep.equal([1]);
+    expect(merge('append', [1], undefined)).to.deep.equal([1]);
+    expect(merge('union', [1, { a: 1 }], [{ a: 1 }, 2])).to.deep.equal([1, { a: 1 }, 2]);
+  });
+
+  it('should merge objects of the mapping key by key in place', function () {
+    const target = { a: { b: 1, c: 1 }, d: 1 };
+    const node = {
+      type: 'object',
+      keys: ['a'],
+      values: [{
+        type: 'object',
+        keys: ['c', 'e'],
+        values: [{ type: 'mapping' }, { type: 'mapping', merge: 'keep' }]
+      }]
+    };
+    const merged = new TargetMerger().merge(target, { a: { c: 2, e: 2 } }, node);
+    expect(merged).to.equal(target);
+    expect(target).to.deep.equal({ a: { b: 1, c: 2, e: 2 }, d: 1 });
+  });
+
+  it('should throw errors for unknown strategies', function () {
+    expect(() => new TargetMerger('replace')).to.throw('Unknown merge strategy replace');
+  });
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const Template = require('../src/template');
+
+const parse = template => new Template(template).parts.map(part => (part.keyPath
+  ? { keyPath: part.keyPath.keyPath, transforms: part.transforms } : part));
+
+describe('Template', function () {
+  it('should split text and placeholders', function () {
+    expect(parse('Hello {{user.name}}, order {{ orders.0.id }}')).to.deep.equal([
+      { text: 'Hello ' },
+      { keyPath: 'user.name', transforms: [] },
+      { text: ', order ' },
+      { keyPath: 'orders.0.id', transforms: [] }
+    ]);
+    expect(new Template('{{a}}').parts[0].placeholder).to.equal('{{a}}');
+  });
+
+  it('should parse transforms of placeholders', function () {
+    expect(parse('{{price | toFixed(2) | prepend("$") | !isEmpty}}')).to.deep.equal([{
+      keyPath: 'price',
+      transforms: [{ toFixed: [2] }, { prepend: ['$'] }, { '!isEmpty': [] }]
+    }]);
+    expect(parse('{{orders[?status==\'a|b\'].id | join(" | ")}}')).to.deep.equal([{
+      keyPath: 'orders[?status==\'a|b\'].id',
+      transforms: [{ join: [' | '] }]
+    }]);
+  });
+
+  it('should unescape literal braces and backslashes', function () {
+    expect(parse('\\{{a}} \\}} \\\\{{b}} \\n')).to.deep.equal([
+      { text: '{{a}} }} \\' },
+      { keyPath: 'b', transforms: [] },
+      { text: ' \\n' }
+    ]);
+  });
+
+  it('should throw errors for invalid templates', function () {
+    expect(() => new Template('{{a')).to.throw('Invalid template "{{a": missing "}}"');
+    expect(() => new Template('{{ }}')).to.throw('missing source path in {{ }}');
+    expect(() => new Template('{{a | b c}}')).to.throw('invalid transform b c');
+    expect(() => new Template('{{a | b(x)}}')).to.throw('invalid parameters of b');
+    expect(() => new Template('{{a[0}}')).to.throw('Invalid key path "a[0"');
+  });
+
+  it('should convert values to text', function () {
+    expect(Template.toText(1.5)).to.equal('1.5');
+    expect(Template.toText(['a', null, ['b', 'c']])).to.equal('a, b, c');
+    expect(Template.toText({ a: 1 })).to.equal('{"a":1}');
+  });
+});
@@ -54,6 +54,19 @@ describe('TransformUtil', function () {
       transformSource)).to.equal(true);
   });
 
+  it('should combine conditions with _any, _all and _not', function () {
+    const trueCondition = { returnTrue: [] };
+    const falseCondition = { returnFalse: [] };
+    expect(transformUtil.checkCondition({}, { _any: [falseCondition, trueCondition] }))
+      .to.equal(true);
+    expect(transformUtil.checkCondition({}, { _all: [falseCondition, trueCondition] }))
+      .to.equal(false);
+    expect(transformUtil.checkCondition({}, { _not: falseCondition })).to.equal(true);
+    expect(transformUtil.checkCondition({}, [trueCondition, { _not: [trueCondition,
+      falseCondition] }])).to.equal(true);
+    expect(transformUtil.checkCondition({}, { _any: [] })).to.equal(false);
+  });
+
   it('should correctly check conditions with parameters', function () {
     const trueCondition = { testCondition: [true] };
     const falseCondition = { testCondition: [false] };
@@ -117,4 +130,49 @@ describe('TransformUtil', function () {
     ];
     expect(transformUtil.transformValue(1, transforms, transformSource)).to.equal(undefined);
   });
+
+  it('should pass error details to onError', function () {
+    const errors = [];
+    const context = { onError: errorDetails => errors.push(errorDetails) };
+    expect(transformUtil.transformValue(1, [{ add: [1] }, { fail: [2] }], context))
+      .to.equal(undefined);
+    expect(transformUtil.checkCondition(1, { '!fail': [] }, context)).to.equal(false);
+    expect(errors).to.have.length(2);
+    expect(errors[0]).to.include({
+      type: 'transform',
+      functionName: 'fail',
+      message: 'Transform (fail): forced fail'
+    });
+    expect(errors[0].parameters).to.deep.equal([2]);
+    expect(errors[0].error).to.be.an.instanceof(Error);
+    expect(errors[1]).to.include({
+      type: 'condition',
+      functionName: '!fail',
+      message: 'Condition (!fail): forced fail'
+    });
+  });
+
+  it('should report unknown functions', function () {
+    const errors = [];
+    const context = { onError: errorDetails => errors.push(errorDetails) };
+    expect(transformUtil.transformValue(1, { notDefined: [] }, context)).to.equal(undefined);
+    expect(errors[0].message).to.equal('Transform (notDefined): Unknown function notDefined');
+  });
+
+  it('should only resolve own and allowed functions in safe mode', function () {
+    const inheritingSource = Object.create({ inherited: () => 1 });
+    inheritingSource.own = () => 2;
+    const unsafeUtil = new TransformUtil(inheritingSource);
+    const safeUtil = new TransformUtil(inheritingSource, { safe: true });
+    const allowingUtil = new TransformUtil(inheritingSource, { allowedFunctions: ['own'] });
+    expect(unsafeUtil.resolveFunction('inherited')).to.be.a('function');
+    expect(unsafeUtil.resolveFunction('constructor')).to.equal(Object);
+    expect(safeUtil.resolveFunction('inherited')).to.equal(undefined);
+    expect(safeUtil.resolveFunction('constructor')).to.equal(undefined);
+    expect(safeUtil.resolveFunction('hasOwnProperty')).to.equal(undefined);
+    expect(safeUtil.resolveFunction('own')).to.equal(inheritingSource.own);
+    expect(safeUtil.resolveFunction('trim')).to.be.a('function');
+    expect(allowingUtil.resolveFunction('own')).to.equal(inheritingSource.own);
+    expect(allowingUtil.resolveFunction('trim')).to.equal(undefined);
+  });
 });
@@ -0,0 +1,71 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const ValueType = require('../src/value-type');
+
+const coerce = (type, value) => new ValueType(type).coerce(value);
+
+describe('ValueType', function () {
+  it('should convert strings and numbers', function () {
+    expect(coerce('string', 1.5)).to.equal('1.5');
+    expect(coerce('string', false)).to.equal('false');
+    expect(coerce('string', new Date(0))).to.equal('1970-01-01T00:00:00.000Z');
+    expect(coerce('number', ' 1.5 ')).to.equal(1.5);
+    expect(coerce('number', 2)).to.equal(2);
+    expect(coerce('integer', '42')).to.equal(42);
+    expect(() => coerce('string', [1])).to.throw('[1] cannot be converted to string');
+    expect(() => coerce('number', 'abc')).to.throw('"abc" cannot be converted to number');
+    expect(() => coerce('number', '')).to.throw(Error);
+    expect(() => coerce('number', true)).to.throw(Error);
+    expect(() => coerce('number', Infinity)).to.throw(Error);
+    expect(() => coerce('integer', '1.5')).to.throw('"1.5" cannot be converted to integer');
+  });
+
+  it('should convert booleans and dates', function () {
+    expect(coerce('boolean', ' TRUE ')).to.equal(true);
+    expect(coerce('boolean', '0')).to.equal(false);
+    expect(coerce('boolean', 1)).to.equal(true);
+    expect(() => coerce('boolean', 'yes')).to.throw('"yes" cannot be converted to boolean');
+    expect(() => coerce('boolean', 2)).to.throw(Error);
+    expect(coerce('date', '2016-06-01')).to.equal('2016-06-01T00:00:00.000Z');
+    expect(coerce('date', 0)).to.equal('1970-01-01T00:00:00.000Z');
+    expect(() => coerce('date', 'tomorrow')).to.throw('"tomorrow" cannot be converted to date');
+    expect(() => coerce('date', true)).to.throw(Error);
+  });
+
+  it('should convert arrays and objects', function () {
+    expect(coerce('array', 'a')).to.deep.equal(['a']);
+    expect(coerce('array', [1])).to.deep.equal([1]);
+    expect(coerce('object', { a: 1 })).to.deep.equal({ a: 1 });
+    expect(() => coerce('object', [])).to.throw('[] cannot be converted to object');
+    expect(coerce('number[]', ['1', null, 2])).to.deep.equal([1, null, 2]);
+    expect(coerce('string[]', 1)).to.deep.equal(['1']);
+    expect(() => coerce('integer[]', [1, 'a'])).to.throw(
+      '"a" cannot be converted to integer (index 1)');
+  });
+
+  it('should keep undefined and null', function () {
+    expect(coerce('number', undefined)).to.equal(undefined);
+    expect(coerce('string[]', null)).to.equal(null);
+  });
+
+  it('should create JSON Schemas of the types', function () {
+    expect(new ValueType('integer').toSchema()).to.deep.equal({ type: 'integer' });
+    expect(new ValueType('date').toSchema()).to.deep.equal({
+      type: 'string',
+      format: 'date-time'
+    });
+    expect(new ValueType('number[]').toSchema()).to.deep.equal({
+      type: 'array',
+      items: { type: 'number' }
+    });
+  });
+
+  it('should throw errors for unknown types', function () {
+    expect(() => new ValueType('float')).to.throw('Unknown type float');
+    expect(() => new ValueType('number[][]')).to.throw('Unknown type number[][]');
+    expect(() => new ValueType(1)).to.throw('Unknown type 1');
+  });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const XmlParser = require('../src/xml-parser');
+
+const parse = (content, options) => new XmlParser(options).parse(content);
+
+describe('XmlParser', function () {
+  it('should parse elements, attributes and text', function () {
+    const content = `<?xml version="1.0" encoding="UTF-8"?>
+      <!DOCTYPE order>
+      <!-- Order export -->
+      <order id="7" status='open'>
+        <customer>John &amp; Jane</customer>
+        <price currency="EUR">10.50</price>
+        <note><![CDATA[<b>fragile</b>]]></note>
+        <empty/>
+        <closed></closed>
+        Text &#65;&#x42;
+      </order>`;
+    expect(parse(content)).to.deep.equal({
+      order: {
+        '@id': '7',
+        '@status': 'open',
+        customer: 'John & Jane',
+        price: { '@currency': 'EUR', '#text': '10.50' },
+        note: '<b>fragile</b>',
+        empty: '',
+        closed: '',
+        '#text': 'Text AB'
+      }
+    });
+  });
+
+  it('should parse repeated elements as arrays', function () {
+    const content = '<order><item>a</item><item>b</item><tag>x</tag></order>';
+    expect(parse(content)).to.deep.equal({ order: { item: ['a', 'b'], tag: 'x' } });
+    expect(parse(content, { arrays: ['tag'] })).to.deep.equal({
+      order: { item: ['a', 'b'], tag: ['x'] }
+    });
+  });
+
+  it('should convert values', function () {
+    const content = '<a count="2"><b>1.5</b><c>true</c><d>007x</d></a>';
+    expect(parse(content, { parseValues: true })).to.deep.equal({
+      a: { '@count': 2, b: 1.5, c: true, d: '007x' }
+    });
+  });
+
+  it('should keep element names as plain keys', function () {
+    const parsed = parse('<a><__proto__>x</__proto__></a>');
+    expect(Object.keys(parsed.a)).to.deep.equal(['__proto__']);
+    expect(Object.getPrototypeOf(parsed.a)).to.equal(Object.prototype);
+  });
+
+  it('should throw errors for invalid XML', function () {
+    expect(() => parse('text')).to.throw('Invalid XML in line 1: expected root element');
+    expect(() => parse('<a>\n<b></a>')).to.throw('Invalid XML in line 2: expected </b>, got </a>');
+    expect(() => parse('<a>\n<b>')).to.throw('Invalid XML in line 2: missing closing tag of <b>');
+    expect(() => parse('<a/><b/>')).to.throw('unexpected content after root element');
+    expect(() => parse('<a><!-- x</a>')).to.throw('missing -->');
+  });
+});